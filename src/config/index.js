@@ -29,26 +29,108 @@ const config = {
   REFRESH_TOKEN: process.env.TWITCH_REFRESH_TOKEN,
   BOT_OWNER_ID: process.env.TWITCH_BOT_OWNER_ID,
   CHANNELS: process.env.TWITCH_CHANNELS ? process.env.TWITCH_CHANNELS.split(',') : [],
+  // Let broadcasters invite the bot by typing !join in the bot's own channel
+  ALLOW_SELF_INVITE: process.env.ALLOW_SELF_INVITE === 'true',
 
   // Debug and logging
   DEBUG: process.env.DEBUG === 'true',
 
   // File paths
   CONFIG_DIR: process.env.CONFIG_DIR || './channel_configs',
+  // Per-channel configs live in their own directory so a channel named e.g. "channels" or "token" can't overwrite the bot's files
+  CHANNEL_CONFIG_DIR: path.join(process.env.CONFIG_DIR || './channel_configs', 'channels'),
   TOKEN_FILE: path.join(process.env.CONFIG_DIR || './channel_configs', 'token.json'),
   GLOBAL_IGNORE_FILE: path.join(process.env.CONFIG_DIR || './channel_configs', 'global_ignore.json'),
+  USER_LANGUAGE_FILE: path.join(process.env.CONFIG_DIR || './channel_configs', 'user_languages.json'),
+  CHANNEL_LIST_FILE: path.join(process.env.CONFIG_DIR || './channel_configs', 'channels.json'),
+  EMOTE_FILE: process.env.EMOTE_FILE || path.join(process.env.CONFIG_DIR || './channel_configs', 'emotes.json'),
+
+  // Third-party emote providers to fetch from (bttv, ffz, 7tv); 'none' uses EMOTE_FILE only
+  EMOTE_PROVIDERS: (process.env.EMOTE_PROVIDERS || 'bttv,ffz,7tv')
+    .split(',').map(name => name.trim().toLowerCase()).filter(name => name && name !== 'none'),
+  EMOTE_REFRESH_INTERVAL: parseInt(process.env.EMOTE_REFRESH_INTERVAL || '86400000', 10), // 24 hours in ms
 
   // Cache settings
   CACHE_SIZE: parseInt(process.env.CACHE_SIZE || '100', 10),
   CACHE_TTL: parseInt(process.env.CACHE_TTL || '3600000', 10), // 1 hour in ms
+  CACHE_MAX_BYTES: parseInt(process.env.CACHE_MAX_BYTES || '0', 10), // 0 = limit by entry count only
+  // Normalization steps applied to cache keys (casefold, repeats, punctuation, whitespace)
+  CACHE_NORMALIZATION: (process.env.CACHE_NORMALIZATION || 'casefold,repeats,punctuation,whitespace')
+    .split(',').map(step => step.trim().toLowerCase()).filter(Boolean),
+  CACHE_PERSIST: process.env.CACHE_PERSIST === 'true',
+  CACHE_FILE: path.join(process.env.CONFIG_DIR || './channel_configs', 'translation_cache.jsonl'),
+  CACHE_SNAPSHOT_INTERVAL: parseInt(process.env.CACHE_SNAPSHOT_INTERVAL || '300000', 10), // 5 minutes in ms
+
+  // Per-user language memory
+  USER_PRIOR_WEIGHT: parseFloat(process.env.USER_PRIOR_WEIGHT || '0.4'), // Weight of a user's history when detection is unsure
+  USER_HISTORY_DECAY: parseFloat(process.env.USER_HISTORY_DECAY || '0.8'), // How much older observations fade per message
+  USER_LANGUAGE_LIMIT: parseInt(process.env.USER_LANGUAGE_LIMIT || '10000', 10), // Most user profiles kept; the least recently seen are dropped
+
+  // Near-duplicate (copy-pasta) detection
+  DUPLICATE_WINDOW: parseInt(process.env.DUPLICATE_WINDOW || '60000', 10), // 1 minute in ms
+  DUPLICATE_THRESHOLD: parseFloat(process.env.DUPLICATE_THRESHOLD || '0.8'),
+
+  // Digest mode settings
+  DIGEST_MAX_QUEUE: parseInt(process.env.DIGEST_MAX_QUEUE || '50', 10), // Flush early once this many are pending
+
+  // Spans protected from translation (url, domain, mention, hashtag, code, number)
+  PROTECTED_TOKENS: (process.env.PROTECTED_TOKENS || 'url,domain,mention,hashtag,code,number')
+    .split(',').map(type => type.trim().toLowerCase()).filter(Boolean),
 
   // Message settings
+  TWITCH_MESSAGE_LIMIT: 500, // Twitch rejects chat messages longer than this
   MAX_MESSAGE_LENGTH: parseInt(process.env.MAX_MESSAGE_LENGTH || '500', 10),
   MIN_CONFIDENCE: parseFloat(process.env.MIN_CONFIDENCE || '0.5'),
 
+  // Language detectors combined by weighted vote (langdetect, trigram, script)
+  DETECTORS: (process.env.DETECTORS || 'langdetect,trigram,script')
+    .split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+  DETECTOR_WEIGHTS: {
+    langdetect: parseFloat(process.env.DETECTOR_WEIGHT_LANGDETECT || '1'),
+    trigram: parseFloat(process.env.DETECTOR_WEIGHT_TRIGRAM || '1'),
+    script: parseFloat(process.env.DETECTOR_WEIGHT_SCRIPT || '2'),
+  },
+
+  // Translation provider settings
+  TRANSLATION_PROVIDER: process.env.TRANSLATION_PROVIDER || 'google',
+  // Ordered failover chain; defaults to the single TRANSLATION_PROVIDER
+  TRANSLATION_PROVIDERS: (process.env.TRANSLATION_PROVIDERS || process.env.TRANSLATION_PROVIDER || 'google')
+    .split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+  TRANSLATION_TIMEOUT: parseInt(process.env.TRANSLATION_TIMEOUT || '5000', 10),
+  PROVIDERS: {
+    google: {
+      timeout: parseInt(process.env.GOOGLE_TIMEOUT || process.env.TRANSLATION_TIMEOUT || '5000', 10)
+    },
+    deepl: {
+      apiKey: process.env.DEEPL_API_KEY,
+      apiUrl: process.env.DEEPL_API_URL || 'https://api-free.deepl.com/v2/translate',
+      timeout: parseInt(process.env.DEEPL_TIMEOUT || process.env.TRANSLATION_TIMEOUT || '5000', 10)
+    },
+    libretranslate: {
+      apiUrl: process.env.LIBRETRANSLATE_URL || 'http://localhost:5000',
+      apiKey: process.env.LIBRETRANSLATE_API_KEY,
+      timeout: parseInt(process.env.LIBRETRANSLATE_TIMEOUT || process.env.TRANSLATION_TIMEOUT || '5000', 10)
+    },
+    dictionary: {
+      file: process.env.DICTIONARY_FILE,
+      timeout: parseInt(process.env.TRANSLATION_TIMEOUT || '5000', 10)
+    },
+    mock: {
+      file: process.env.DICTIONARY_FILE,
+      timeout: parseInt(process.env.TRANSLATION_TIMEOUT || '5000', 10)
+    }
+  },
+
+  // Circuit breaker settings for the provider chain
+  CIRCUIT_BREAKER: {
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '3', 10),
+    resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET || '30000', 10), // 30 seconds
+  },
+
   // Server settings
   PORT: parseInt(process.env.PORT || '8080', 10),
   HOST_URL: process.env.HOST_URL,
+  ADMIN_API_TOKEN: process.env.ADMIN_API_TOKEN,
 
   // Token refresh settings
   TOKEN_REFRESH_INTERVAL: 60 * 60 * 1000, // Check token every hour
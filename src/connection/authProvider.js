@@ -0,0 +1,68 @@
+const config = require('../config');
+const { debug } = require('../utils');
+
+// Twurple auth provider backed by the token manager. The chat client asks it
+// for a token whenever it (re)connects, so refreshed tokens are picked up
+// without replacing the client; when Twitch rejects a token the client calls
+// back here to refresh it.
+class TokenAuthProvider {
+  constructor(tokenManager) {
+    this.tokenManager = tokenManager;
+    this.clientId = config.CLIENT_ID;
+    this.authorizationType = 'Bearer';
+  }
+
+  getCurrentScopesForUser() {
+    return this.tokenManager.scopes;
+  }
+
+  // The bot has a single user token, used for every user and intent
+  async getAccessTokenForUser() {
+    return this._getToken();
+  }
+
+  async getAccessTokenForIntent() {
+    return this._getToken();
+  }
+
+  async getAnyAccessToken() {
+    return this._getToken();
+  }
+
+  async refreshAccessTokenForUser() {
+    return this._refresh();
+  }
+
+  async refreshAccessTokenForIntent() {
+    return this._refresh();
+  }
+
+  // Get the current token, refreshing first if it is about to expire
+  async _getToken() {
+    if (this.tokenManager.needsRefresh()) {
+      return this._refresh();
+    }
+    return this._toAccessToken();
+  }
+
+  async _refresh() {
+    debug('Auth provider refreshing token');
+    await this.tokenManager.refreshAccessToken();
+    return this._toAccessToken();
+  }
+
+  // Convert the token manager's state to twurple's AccessToken shape
+  _toAccessToken() {
+    const { accessToken, refreshToken, expiryTimestamp, obtainmentTimestamp, scopes, userId } = this.tokenManager;
+    return {
+      accessToken,
+      refreshToken,
+      scope: scopes,
+      expiresIn: expiryTimestamp ? Math.max(0, Math.floor((expiryTimestamp - obtainmentTimestamp) / 1000)) : null,
+      obtainmentTimestamp,
+      userId
+    };
+  }
+}
+
+module.exports = TokenAuthProvider;
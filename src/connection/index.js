@@ -0,0 +1,119 @@
+const { ChatClient } = require('@twurple/chat');
+const config = require('../config');
+const tokenManager = require('../managers/tokenManager');
+const channelList = require('../managers/channelList');
+const channelConfigs = require('../managers/channelConfigs');
+const monitoring = require('../utils/monitoring');
+const { debug, normalizeChannelName } = require('../utils');
+const TokenAuthProvider = require('./authProvider');
+
+// Twitch login names: letters, digits and underscores
+const CHANNEL_NAME = /^[a-z0-9_]{3,25}$/;
+
+// Owns the bot's single chat connection for the lifetime of the process.
+// Tokens are refreshed in the background through the auth provider, so the
+// client (and the handlers attached to it) is never replaced.
+class ChatConnection {
+  constructor() {
+    this.authProvider = new TokenAuthProvider(tokenManager);
+    this.chatClient = new ChatClient({
+      authProvider: this.authProvider,
+      // Resolved on every (re)connect, so runtime joins and parts are kept
+      channels: () => channelList.channels,
+      logger: {
+        minLevel: config.DEBUG ? 'debug' : 'info'
+      }
+    });
+    this.handlers = new Set();
+    this.refreshTimer = null;
+
+    this.chatClient.onConnect(() => {
+      console.log('Connected to Twitch Chat');
+    });
+    this.chatClient.onDisconnect((manually, reason) => {
+      if (!manually) {
+        console.warn(`Disconnected from Twitch Chat${reason ? `: ${reason.message}` : ''}, reconnecting`);
+        monitoring.trackError('chat_disconnect');
+      }
+    });
+    this.chatClient.onAuthenticationFailure((text, retryCount) => {
+      console.error(`Chat authentication failed (attempt ${retryCount}): ${text}`);
+      monitoring.trackError('chat_auth');
+    });
+  }
+
+  // Attach a handler to the chat client; each handler is set up exactly once
+  attach(handler) {
+    if (this.handlers.has(handler)) return;
+    handler.setup();
+    this.handlers.add(handler);
+  }
+
+  // Join a channel at runtime and remember it across restarts.
+  // Returns false if the bot is already in the channel.
+  async join(channelName) {
+    const normalizedName = normalizeChannelName(channelName.trim());
+    if (!CHANNEL_NAME.test(normalizedName)) {
+      throw new Error(`Invalid channel name: ${channelName}`);
+    }
+    if (!channelList.add(normalizedName)) {
+      return false;
+    }
+
+    channelConfigs.loadConfigByName(normalizedName);
+    if (this.chatClient.isConnected) {
+      try {
+        await this.chatClient.join(normalizedName);
+      } catch (error) {
+        channelList.remove(normalizedName);
+        throw new Error(`Could not join ${normalizedName}: ${error.message || error}`);
+      }
+    }
+    console.log(`Joined channel ${normalizedName}`);
+    return true;
+  }
+
+  // Leave a channel and forget it. Returns false if the bot wasn't in the channel.
+  part(channelName) {
+    const normalizedName = normalizeChannelName(channelName.trim());
+    if (!channelList.remove(normalizedName)) {
+      return false;
+    }
+
+    if (this.chatClient.isConnected) {
+      this.chatClient.part(normalizedName);
+    }
+    console.log(`Left channel ${normalizedName}`);
+    return true;
+  }
+
+  // Connect to chat and start refreshing the token before it expires
+  async connect() {
+    await this.chatClient.connect();
+    this.startTokenRefresh();
+  }
+
+  // Refresh the token ahead of expiry; the next (re)connect picks it up from the auth provider
+  startTokenRefresh() {
+    if (this.refreshTimer) return;
+    this.refreshTimer = setInterval(async () => {
+      if (!tokenManager.needsRefresh()) return;
+      try {
+        debug('Performing scheduled token refresh');
+        await tokenManager.refreshAccessToken();
+      } catch (error) {
+        console.error('Failed to refresh token:', error.message);
+        monitoring.trackError('token_refresh');
+      }
+    }, config.TOKEN_REFRESH_INTERVAL);
+  }
+
+  // Stop refreshing and close the connection
+  async stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    await this.chatClient.quit();
+  }
+}
+
+module.exports = new ChatConnection();
@@ -0,0 +1,62 @@
+const config = require('../config');
+const { debug } = require('../utils');
+const { normalizeLanguageCode } = require('../utils/languages');
+const LangdetectDetector = require('./langdetectDetector');
+const TrigramDetector = require('./trigramDetector');
+const ScriptDetector = require('./scriptDetector');
+
+// Available detector implementations by name
+const DETECTORS = {
+  langdetect: LangdetectDetector,
+  trigram: TrigramDetector,
+  script: ScriptDetector
+};
+
+// Combines several detectors by weighted voting. Each detector's probabilities
+// are scaled by its weight and summed per language; the result is normalized
+// by the total vote cast. A detector whose probabilities sum to less than 1 is
+// only partly sure and casts a proportionally smaller vote, so a detector that
+// doesn't know the language can't halve the confidence of one that does.
+class EnsembleDetector {
+  constructor(names = config.DETECTORS, weights = config.DETECTOR_WEIGHTS) {
+    this.detectors = names.map(name => {
+      const Detector = DETECTORS[name];
+      if (!Detector) {
+        throw new Error(`Unknown language detector: ${name} (available: ${Object.keys(DETECTORS).join(', ')})`);
+      }
+      return { detector: new Detector(), weight: weights[name] || 1 };
+    });
+  }
+
+  /**
+   * Detects the language of a text
+   * @param {string} text - The text to analyse
+   * @returns {Array<{lang: string, prob: number}>} - Candidate languages, most likely first
+   */
+  detect(text) {
+    const scores = {};
+    let totalWeight = 0;
+
+    for (const { detector, weight } of this.detectors) {
+      const results = detector.detect(text);
+      if (results.length === 0) continue;
+
+      const mass = results.reduce((sum, { prob }) => sum + prob, 0);
+      totalWeight += weight * Math.min(1, mass);
+      for (const { lang, prob } of results) {
+        // Detectors disagree on codes (zh-cn vs zh-CN, tl vs fil), so vote on canonical ones
+        const code = normalizeLanguageCode(lang) || lang.toLowerCase();
+        scores[code] = (scores[code] || 0) + prob * weight;
+      }
+      debug(`Detector ${detector.name}: ${results.slice(0, 3).map(r => `${r.lang}=${r.prob.toFixed(2)}`).join(', ')}`);
+    }
+
+    if (totalWeight === 0) return [];
+
+    return Object.entries(scores)
+      .map(([lang, score]) => ({ lang, prob: score / totalWeight }))
+      .sort((a, b) => b.prob - a.prob);
+  }
+}
+
+module.exports = new EnsembleDetector();
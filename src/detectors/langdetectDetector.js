@@ -0,0 +1,18 @@
+const langdetect = require('langdetect');
+
+// Wraps the langdetect library (n-gram Naive Bayes, 50+ languages)
+class LangdetectDetector {
+  constructor() {
+    this.name = 'langdetect';
+  }
+
+  detect(text) {
+    try {
+      return langdetect.detect(text) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = LangdetectDetector;
@@ -0,0 +1,54 @@
+// Unicode scripts that identify a language (or a small family) on their own.
+// Checked in order, so more specific scripts (kana) come before shared ones (Han).
+const SCRIPTS = [
+  { lang: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  { lang: 'ko', pattern: /\p{Script=Hangul}/u },
+  { lang: 'zh-cn', pattern: /\p{Script=Han}/u },
+  { lang: 'ru', pattern: /\p{Script=Cyrillic}/u, variants: [{ lang: 'uk', pattern: /[іїєґ]/iu }, { lang: 'bg', pattern: /[ъщ].*[ъщ]/iu }] },
+  { lang: 'ar', pattern: /\p{Script=Arabic}/u, variants: [{ lang: 'fa', pattern: /[پچژگک]/u }, { lang: 'ur', pattern: /[ٹڈڑںے]/u }] },
+  { lang: 'he', pattern: /\p{Script=Hebrew}/u },
+  { lang: 'el', pattern: /\p{Script=Greek}/u },
+  { lang: 'th', pattern: /\p{Script=Thai}/u },
+  { lang: 'hi', pattern: /\p{Script=Devanagari}/u },
+  { lang: 'bn', pattern: /\p{Script=Bengali}/u },
+  { lang: 'ta', pattern: /\p{Script=Tamil}/u },
+  { lang: 'ka', pattern: /\p{Script=Georgian}/u },
+  { lang: 'hy', pattern: /\p{Script=Armenian}/u }
+];
+
+// Detects languages with a distinctive writing system by counting letters per
+// script. Reliable even on one-word messages, but says nothing about Latin text.
+class ScriptDetector {
+  constructor() {
+    this.name = 'script';
+  }
+
+  detect(text) {
+    const letters = Array.from(text).filter(char => /\p{L}/u.test(char));
+    if (letters.length === 0) return [];
+
+    const counts = {};
+    for (const char of letters) {
+      const script = SCRIPTS.find(entry => entry.pattern.test(char));
+      if (script) {
+        counts[script.lang] = (counts[script.lang] || 0) + 1;
+      }
+    }
+
+    // Japanese mixes kana with Han characters, so any kana makes Han count as Japanese
+    if (counts.ja && counts['zh-cn']) {
+      counts.ja += counts['zh-cn'];
+      delete counts['zh-cn'];
+    }
+
+    return Object.entries(counts)
+      .map(([lang, count]) => {
+        const script = SCRIPTS.find(entry => entry.lang === lang);
+        const variant = (script.variants || []).find(entry => entry.pattern.test(text));
+        return { lang: variant ? variant.lang : lang, prob: count / letters.length };
+      })
+      .sort((a, b) => b.prob - a.prob);
+  }
+}
+
+module.exports = ScriptDetector;
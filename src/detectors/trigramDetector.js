@@ -0,0 +1,108 @@
+// Frequent words per language, used to build trigram profiles. Chosen from
+// everyday chat vocabulary, which is where langdetect struggles most.
+const SAMPLES = {
+  en: 'the and you that was for are with his they this have from one had word but not what all were when your can said there use each which she how their will other about out many then them these some her would make like him into time has look two more write see number way could people than first been call who its now find long down day did get come made may part what is going why just lol yes yeah know think really good thanks stream game play',
+  es: 'que de no la el en es los se por un con una para las del como pero más mi sus le ya o este sí porque esta entre cuando muy sin sobre también me hasta hay donde quien desde todo nos durante todos uno les ni contra otros ese eso ante ellos esto mí antes algunos qué unos yo otro otras otra él tanto esa estos mucho quienes nada muchos cual poco ella estar estas algunas algo nosotros hola gracias bueno jugar juego vamos amigo hermano que tal buenas noches',
+  pt: 'que de não o a é do da em um para com uma os no se na por mais as dos como mas foi ao ele das tem à seu sua ou ser quando muito há nos já está eu também só pelo pela até isso ela entre era depois sem mesmo aos ter seus quem nas me esse eles estão você tinha foram essa num nem suas meu às minha têm numa pelos elas havia seja qual será nós tenho lhe deles essas esses pelas este fosse dele olá obrigado mano jogo jogar vamos tudo bem beleza',
+  fr: 'je suis est c\'est le de un être et à il avoir ne je son que se qui ce dans en du elle au pour pas que vous par sur faire plus dire me on mon lui nous comme mais pouvoir avec tout y aller voir en bien où sans tu ou leur homme si deux mari moi vouloir te femme venir quand grand celui si notre devoir là jour prendre même votre tout rien petit encore aussi quelque bonjour merci salut jeu jouer oui non',
+  de: 'der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat dass sie nach wird bei einer um am sind noch wie einem über einen so zum war haben nur oder aber vor zur bis mehr durch man sein wurde sei hallo danke ja nein spiel spielen gut geil schon jetzt mal warum ich du wir ihr was',
+  it: 'di che è e la il un a per in una sono mi non ho lo ma ti ha le si con cosa se io come da ci questo qui hai bene tu sei del mio solo al me no te era gli della fatto lei perché sì quando niente nel molto anche più cosa ciao grazie gioco giocare bello ragazzi andiamo',
+  nl: 'de het een van en in is dat op te zijn met voor niet aan er om ook als dan maar bij of uit nog wel naar kan zo door ik je hij zij wij jullie wat waarom hoe hallo dank bedankt spel spelen goed mooi jongens',
+  pl: 'nie się na to że jest do co jak ale tak w z i o po za czy już tylko mnie mi ty ja on ona my wy oni jego jej ich dla bardzo może jeszcze tu tam teraz gdzie kiedy dlaczego cześć dzięki dziękuję gra grać dobrze super',
+  tr: 've bir bu da de için ne ile çok ben sen o biz siz onlar var yok ama gibi daha en kadar mı mi değil olarak sonra şimdi neden nasıl merhaba teşekkürler oyun oynamak güzel tamam evet hayır abi kanka',
+  sv: 'och att det som en på är av för med till den har de inte om ett men var jag han hon vi ni så vad kan från när hej tack spel spela bra ja nej också här där',
+  id: 'yang dan di ini itu dengan untuk tidak dari dalam akan pada juga saya ke ada karena bisa sudah apa kamu aku kita mereka halo terima kasih main game bagus ya tidak banget gimana kenapa'
+};
+
+const PROFILE_SIZE = 300;
+
+// Best match score (0-1) at which the detector is fully sure of its answer, and
+// below which it abstains. Text in a language without a profile only matches
+// weakly, and a weak match shouldn't outvote detectors that know the language.
+const STRONG_MATCH = 0.5;
+const MIN_MATCH = 0.1;
+
+// Count the trigrams of a text, padding words with spaces
+const countTrigrams = (text) => {
+  const counts = new Map();
+  const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+
+  for (const word of words) {
+    const padded = ` ${word} `;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      const gram = padded.slice(i, i + 3);
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+  }
+
+  return counts;
+};
+
+// Keep the most frequent trigrams as a language profile
+const buildProfile = (text) => {
+  const top = [...countTrigrams(text).entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, PROFILE_SIZE);
+  return new Map(top);
+};
+
+// Cosine similarity between two trigram count maps
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [gram, count] of a) {
+    normA += count * count;
+    if (b.has(gram)) dot += count * b.get(gram);
+  }
+  for (const count of b.values()) {
+    normB += count * count;
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Split text into lowercase words
+const toWords = (text) => text.toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+
+// Compares the message's trigrams against built-in profiles of common chat
+// words, plus a bonus for exact word matches. Covers fewer languages than
+// langdetect but is stable on short text. Probabilities are scaled by how well
+// the best profile matched, so they sum to less than 1 when it is unsure.
+class TrigramDetector {
+  constructor(samples = SAMPLES) {
+    this.name = 'trigram';
+    this.profiles = {};
+    for (const [lang, text] of Object.entries(samples)) {
+      this.profiles[lang] = {
+        trigrams: buildProfile(text),
+        words: new Set(toWords(text))
+      };
+    }
+  }
+
+  detect(text) {
+    const grams = countTrigrams(text);
+    const words = toWords(text);
+    if (grams.size === 0 || words.length === 0) return [];
+
+    const scores = Object.entries(this.profiles)
+      .map(([lang, profile]) => {
+        const wordHits = words.filter(word => profile.words.has(word)).length / words.length;
+        return { lang, match: (cosine(grams, profile.trigrams) + wordHits) / 2 };
+      })
+      .filter(({ match }) => match > 0);
+
+    const best = Math.max(0, ...scores.map(({ match }) => match));
+    if (best < MIN_MATCH) return [];
+
+    // Square the scores so the best match stands out after normalizing
+    const total = scores.reduce((sum, { match }) => sum + match * match, 0);
+    const strength = Math.min(1, best / STRONG_MATCH);
+
+    return scores
+      .map(({ lang, match }) => ({ lang, prob: (match * match / total) * strength }))
+      .sort((a, b) => b.prob - a.prob);
+  }
+}
+
+module.exports = TrigramDetector;
@@ -0,0 +1,193 @@
+// Every chat command the bot understands. Each command declares its name,
+// aliases, usage (arguments after the command name), the minimum role that
+// may run it (see managers/permissions), cooldowns in seconds (global is shared
+// by everyone in a channel, user is per user) and how to run it on the
+// CommandHandler. Help text and usage errors are generated from these entries.
+const COMMANDS = [
+  {
+    name: 'translate',
+    aliases: ['tr'],
+    usage: '[to:de | fr>ja] <text>, or reply to a message with {prefix}translate',
+    description: 'Translate text',
+    role: 'everyone',
+    cooldown: { global: 3, user: 10 },
+    run: (commands, { channel, user, args, msg, prefix }) => commands.handleTranslate(channel, user, args, msg, prefix)
+  },
+  {
+    name: 'mylang',
+    aliases: [],
+    usage: '[language/clear]',
+    description: 'Set your own language',
+    role: 'everyone',
+    cooldown: { global: 0, user: 10 },
+    run: (commands, { channel, user, args, prefix }) => commands.handleMyLang(channel, user, args, prefix)
+  },
+  {
+    name: 'help',
+    aliases: ['commands'],
+    usage: '[command]',
+    description: 'Show the commands you can use',
+    role: 'everyone',
+    cooldown: { global: 5, user: 15 },
+    run: (commands, { channel, user, args, msg, prefix }) => commands.handleHelp(channel, user, args, msg, prefix)
+  },
+  {
+    name: 'config',
+    aliases: [],
+    usage: '[setting] [value]',
+    description: 'View or change channel settings',
+    role: 'moderator',
+    canDisable: false,
+    run: (commands, { channel, user, args }) => commands.handleConfig(channel, user, args)
+  },
+  {
+    name: 'exclude',
+    aliases: [],
+    usage: '[username]',
+    description: 'Exclude a user from automatic translations',
+    role: 'moderator',
+    run: (commands, { channel, user, args, prefix }) => commands.handleExclude(channel, user, args, prefix)
+  },
+  {
+    name: 'include',
+    aliases: [],
+    usage: '[username]',
+    description: 'Remove a user from the excluded list',
+    role: 'moderator',
+    run: (commands, { channel, user, args, prefix }) => commands.handleInclude(channel, user, args, prefix)
+  },
+  {
+    name: 'glossary',
+    aliases: [],
+    usage: '[add/remove/list] [term] [= translation]',
+    description: 'Manage the channel glossary',
+    role: 'moderator',
+    run: (commands, { channel, user, args, prefix }) => commands.handleGlossary(channel, user, args, prefix)
+  },
+  {
+    name: 'languages',
+    aliases: [],
+    usage: '[allow/block/clear/list] [languages]',
+    description: 'Choose which languages get translated',
+    role: 'moderator',
+    run: (commands, { channel, user, args, prefix }) => commands.handleLanguages(channel, user, args, prefix)
+  },
+  {
+    name: 'filter',
+    aliases: [],
+    usage: '[add/remove/list/test] [term]',
+    description: 'Manage the terms that are never translated',
+    role: 'moderator',
+    run: (commands, { channel, user, args, prefix }) => commands.handleFilter(channel, user, args, prefix)
+  },
+  {
+    name: 'command',
+    aliases: [],
+    usage: '[enable/disable/list] [command]',
+    description: 'Enable or disable commands in this channel',
+    role: 'moderator',
+    canDisable: false,
+    run: (commands, { channel, user, args, prefix }) => commands.handleCommandToggle(channel, user, args, prefix)
+  },
+  {
+    name: 'permission',
+    aliases: ['perm'],
+    usage: '[command] [role/default]',
+    description: 'Show or change who can use a command',
+    role: 'broadcaster',
+    canDisable: false,
+    run: (commands, { channel, user, args, prefix }) => commands.handlePermission(channel, user, args, prefix)
+  },
+  {
+    name: 'refreshtoken',
+    aliases: [],
+    usage: '',
+    description: 'Refresh the bot\'s token',
+    role: 'broadcaster',
+    run: (commands, { channel, user, tokenManager }) => commands.handleRefreshToken(channel, user, tokenManager)
+  },
+  {
+    name: 'globalignore',
+    aliases: ['gignore'],
+    usage: '[add/remove/list] [username]',
+    description: 'Manage the global ignore list',
+    role: 'owner',
+    run: (commands, { channel, user, args, prefix }) => commands.handleGlobalIgnore(channel, user, args, prefix)
+  },
+  {
+    name: 'join',
+    aliases: [],
+    usage: '[channel]',
+    description: 'Join a channel',
+    role: 'owner',
+    cooldown: { global: 5, user: 60 },
+    run: (commands, { channel, user, args, prefix }) => commands.handleJoin(channel, user, args, prefix)
+  },
+  {
+    name: 'part',
+    aliases: [],
+    usage: '[channel]',
+    description: 'Leave a channel',
+    role: 'owner',
+    cooldown: { global: 5, user: 60 },
+    run: (commands, { channel, user, args, prefix }) => commands.handlePart(channel, user, args, prefix)
+  }
+];
+
+class CommandRegistry {
+  constructor() {
+    this.commands = COMMANDS.map(command => ({
+      aliases: [],
+      usage: '',
+      cooldown: { global: 0, user: 0 },
+      canDisable: true,
+      ...command
+    }));
+    this.lookup = new Map();
+    for (const command of this.commands) {
+      this.lookup.set(command.name, command);
+      for (const alias of command.aliases) this.lookup.set(alias, command);
+    }
+  }
+
+  // Get a command by name or alias, or null if there is no such command
+  get(name) {
+    if (typeof name !== 'string') return null;
+    return this.lookup.get(name.toLowerCase()) || null;
+  }
+
+  // Format a command's usage with the channel's prefix, e.g. "!exclude [username]"
+  usage(name, prefix = '!') {
+    const command = this.get(name);
+    if (!command) return '';
+    const usage = command.usage.replace(/\{prefix\}/g, prefix);
+    return `${prefix}${command.name}${usage ? ` ${usage}` : ''}`;
+  }
+
+  // Check if a channel has turned a command off
+  isDisabled(name, channelConfig = {}) {
+    const command = this.get(name);
+    return !!command && command.canDisable &&
+      (channelConfig.disabledCommands || []).includes(command.name);
+  }
+
+  // Validate a channel's disabled command list, returning a list of errors
+  validateDisabled(disabledCommands) {
+    if (!Array.isArray(disabledCommands)) {
+      return ['disabledCommands must be an array of command names'];
+    }
+
+    const errors = [];
+    for (const name of disabledCommands) {
+      const command = this.lookup.get(name);
+      if (!command || command.name !== name) {
+        errors.push(`Unknown command: ${name}`);
+      } else if (!command.canDisable) {
+        errors.push(`${name} can't be disabled`);
+      }
+    }
+    return errors;
+  }
+}
+
+module.exports = new CommandRegistry();
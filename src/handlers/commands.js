@@ -1,25 +1,44 @@
 const config = require('../config');
-const { debug, normalizeChannelName } = require('../utils');
+const { 
+  debug, 
+  normalizeChannelName, 
+  sanitizeText, 
+  protectTokens, 
+  restoreTokens, 
+  isInappropriateMessage 
+} = require('../utils');
+const { 
+  DISPLAY_STYLES, 
+  normalizeLanguageCode, 
+  resolveLanguage, 
+  formatLanguage, 
+  isSameLanguage 
+} = require('../utils/languages');
+const { maskTerm, validateBlockedTerms, findBlockedTerm } = require('../utils/moderation');
 const channelConfigs = require('../managers/channelConfigs');
 const globalIgnoreManager = require('../managers/globalIgnoreManager');
 const translationCache = require('../managers/translationCache');
-const { translate } = require('google-translate-api-x');
+const userLanguages = require('../managers/userLanguages');
+const permissions = require('../managers/permissions');
+const commandRegistry = require('./commandRegistry');
+const tokenManager = require('../managers/tokenManager');
+const { translate } = require('../providers');
+const chatConnection = require('../connection');
 
 class CommandHandler {
   constructor(chatClient) {
     this.chatClient = chatClient;
   }
 
-  // Handle global ignore commands
-  async handleGlobalIgnore(channel, user, args, prefix, command) {
-    const isOwner = config.BOT_OWNER_ID 
-      ? user.toLowerCase() === config.BOT_OWNER_ID.toLowerCase() 
-      : user.toLowerCase() === normalizeChannelName(channel);
-
-    if (!isOwner) return;
+  // Reply with a command's usage from the command registry
+  sayUsage(channel, user, command, prefix) {
+    this.chatClient.say(channel, `@${user} Usage: ${commandRegistry.usage(command, prefix)}`);
+  }
 
+  // Handle global ignore commands
+  async handleGlobalIgnore(channel, user, args, prefix) {
     if (args.length < 1) {
-      this.chatClient.say(channel, `@${user} Usage: ${prefix}${command} [add/remove/list] [username]`);
+      this.sayUsage(channel, user, 'globalignore', prefix);
       return;
     }
     
@@ -28,7 +47,7 @@ class CommandHandler {
     switch(action) {
       case 'add':
         if (args.length < 2) {
-          this.chatClient.say(channel, `@${user} Usage: ${prefix}${command} add [username]`);
+          this.chatClient.say(channel, `@${user} Usage: ${prefix}globalignore add [username]`);
           return;
         }
         
@@ -42,7 +61,7 @@ class CommandHandler {
         
       case 'remove':
         if (args.length < 2) {
-          this.chatClient.say(channel, `@${user} Usage: ${prefix}${command} remove [username]`);
+          this.chatClient.say(channel, `@${user} Usage: ${prefix}globalignore remove [username]`);
           return;
         }
         
@@ -73,60 +92,147 @@ class CommandHandler {
     }
   }
 
-  // Handle translate command
-  async handleTranslate(channel, user, args) {
-    if (args.length < 2) {
-      this.chatClient.say(channel, `@${user} Usage: !translate [language] [text]`);
-      return;
+  // Handle translate command: !translate [to:xx | xx>yy] [text], or as a reply
+  // to translate the replied-to message
+  async handleTranslate(channel, user, args, msg, prefix = '!') {
+    const channelConfig = channelConfigs.getConfig(channel);
+    const display = (lang) => formatLanguage(lang, channelConfig.languageDisplay);
+    let sourceLang = 'auto';
+    let targetLang = channelConfig.targetLanguage || 'en';
+    
+    // Optional language selection as the first argument; codes or names (to:german, español>ja)
+    const selector = args.length > 0 ? args[0].toLowerCase() : '';
+    const toMatch = selector.match(/^to:(.+)$/);
+    const pairMatch = selector.match(/^([^>]*)>(.+)$/);
+    if (toMatch || pairMatch) {
+      args = args.slice(1);
+      const names = toMatch ? [toMatch[1]] : [pairMatch[1] || 'auto', pairMatch[2]];
+      const codes = names.map(name => name === 'auto' ? 'auto' : resolveLanguage(name));
+      const unknown = names.find((name, i) => !codes[i] || (i === names.length - 1 && codes[i] === 'auto'));
+      if (unknown) {
+        this.chatClient.say(channel, `@${user} Unknown language: ${unknown} (use a code or name, e.g. es, pt-br, german)`);
+        return;
+      }
+      if (pairMatch) sourceLang = codes[0];
+      targetLang = codes[codes.length - 1];
     }
     
-    const sourceLang = args.shift().toLowerCase();
-    const textToTranslate = args.join(' ');
+    // Without text, translate the message being replied to
+    let textToTranslate = sanitizeText(args.join(' '));
+    if (!textToTranslate && msg && msg.isReply && msg.parentMessageText) {
+      textToTranslate = sanitizeText(msg.parentMessageText);
+    }
     
+    if (!textToTranslate) {
+      this.sayUsage(channel, user, 'translate', prefix);
+      return;
+    }
     if (textToTranslate.length < 2) {
       this.chatClient.say(channel, `@${user} Text too short to translate.`);
       return;
     }
     
+    // Neither the text nor its translation may contain blocked terms
+    const blocked = (text) => isInappropriateMessage(text, channelConfig.blockedTerms);
+    if (blocked(textToTranslate)) {
+      this.chatClient.say(channel, `@${user} Sorry, I can't translate that.`);
+      return;
+    }
+    
+    // Keep links, mentions and numbers verbatim; the cache is keyed on the protected text
+    const { processed, tokens } = protectTokens(textToTranslate);
+    
     try {
-      // Check if we have this translation cached
-      const cachedTranslation = translationCache.get(textToTranslate, sourceLang, 'en');
-      if (cachedTranslation) {
-        this.chatClient.say(channel, `@${user} [${sourceLang}→en]: ${cachedTranslation}`);
-        return;
+      // Use the cached translation if there is one, otherwise translate, letting
+      // the provider detect the source if not given
+      let translatedText;
+      let detectedLang;
+      // Entries cached before detected languages were stored can't say what they were translated from
+      const cached = translationCache.lookup(processed, sourceLang, targetLang);
+      if (cached && (sourceLang !== 'auto' || cached.detectedLang)) {
+        translatedText = cached.translatedText;
+        detectedLang = cached.detectedLang || sourceLang;
+      } else {
+        const result = await translate(processed, { from: sourceLang, to: targetLang });
+        detectedLang = sourceLang === 'auto' && result.from
+          ? normalizeLanguageCode(result.from) || result.from
+          : sourceLang;
+        translatedText = sanitizeText(result.text);
+        translationCache.add(processed, sourceLang, targetLang, translatedText, 
+          sourceLang === 'auto' && detectedLang !== 'auto' ? detectedLang : null);
       }
       
-      // Translate the text
-      const result = await translate(textToTranslate, { from: sourceLang, to: 'en' });
-      translationCache.add(textToTranslate, sourceLang, 'en', result.text);
+      if (isSameLanguage(detectedLang, targetLang)) {
+        this.chatClient.say(channel, `@${user} That's already in ${formatLanguage(targetLang, 'name')}.`);
+        return;
+      }
       
-      this.chatClient.say(channel, `@${user} [${sourceLang}→en]: ${result.text}`);
+      const restored = restoreTokens(translatedText, tokens);
+      if (blocked(restored)) {
+        this.chatClient.say(channel, `@${user} Sorry, I can't translate that.`);
+        return;
+      }
+      this.chatClient.say(channel, `@${user} [${display(detectedLang)}→${display(targetLang)}]: ${restored}`);
     } catch (error) {
-      this.chatClient.say(channel, `@${user} Error translating: ${error.message}`);
+      console.error(`Translate command error (${error.provider || 'unknown'}, ${error.type || 'unknown'}):`, error.message);
+      this.chatClient.say(channel, `@${user} ${this.describeTranslationError(error)}`);
+    }
+  }
+
+  // Turn a translation failure into a message suitable for chat
+  describeTranslationError(error) {
+    switch (error.type) {
+      case 'timeout':
+        return 'The translator took too long to answer, please try again.';
+      case 'rate_limit':
+      case 'quota':
+        return 'The translator is busy right now, please try again in a minute.';
+      case 'unsupported_language':
+        return 'Sorry, that language pair isn\'t supported.';
+      case 'network':
+      case 'unavailable':
+      case 'auth':
+        return 'The translator is unavailable right now, please try again later.';
+      default:
+        return 'Sorry, I couldn\'t translate that.';
     }
   }
 
   // Handle config command
-  async handleConfig(channel, user, args, msg) {
+  async handleConfig(channel, user, args) {
     const channelName = normalizeChannelName(channel);
     const channelConfig = channelConfigs.getConfig(channelName);
     
-    // Only allow channel owner/mods to change config
-    if (!msg.userInfo.isMod && user.toLowerCase() !== channelName) {
-      return;
-    }
+    // Map lowercased setting names to their config keys
+    const settingKeys = {
+      autotranslate: 'autoTranslate',
+      respondtocommands: 'respondToCommands',
+      prefix: 'prefix',
+      moderatoronly: 'moderatorOnly',
+      targetlanguage: 'targetLanguage',
+      targetlanguages: 'targetLanguages',
+      languagedisplay: 'languageDisplay',
+      duplicatemode: 'duplicateMode',
+      responsemode: 'responseMode',
+      responsetemplate: 'responseTemplate',
+      digestmode: 'digestMode',
+      digestinterval: 'digestInterval',
+      bidirectional: 'bidirectional',
+      minconfidence: 'minConfidence'
+    };
     
     if (args.length < 1) {
-      this.chatClient.say(channel, `@${user} Available settings: autoTranslate, respondToCommands, prefix, moderatorOnly`);
+      this.chatClient.say(channel, `@${user} Available settings: ${Object.values(settingKeys).join(', ')}`);
       return;
     }
     
     const setting = args[0].toLowerCase();
+    const settingKey = settingKeys[setting] || setting;
     const value = args[1] ? args[1].toLowerCase() : null;
     
     if (value === null) {
       // Show current value
-      this.chatClient.say(channel, `@${user} ${setting} = ${channelConfig[setting]}`);
+      this.chatClient.say(channel, `@${user} ${settingKey} = ${channelConfig[settingKey]}`);
       return;
     }
     
@@ -139,11 +245,100 @@ class CommandHandler {
         channelConfig.respondToCommands = value === 'true' || value === 'on';
         break;
       case 'prefix':
+        if (value.length > channelConfigs.maxPrefixLength) {
+          this.chatClient.say(channel, `@${user} prefix must be 1-${channelConfigs.maxPrefixLength} characters without spaces`);
+          return;
+        }
         channelConfig.prefix = value;
         break;
       case 'moderatoronly':
         channelConfig.moderatorOnly = value === 'true' || value === 'on';
         break;
+      case 'targetlanguage': {
+        const lang = resolveLanguage(value);
+        if (!lang) {
+          this.chatClient.say(channel, `@${user} Unknown language: ${value} (use a code or name, e.g. en, es, german)`);
+          return;
+        }
+        channelConfig.targetLanguage = lang;
+        break;
+      }
+      case 'targetlanguages': {
+        // Comma or space separated list, or "none" to translate into targetLanguage only
+        const names = value === 'none'
+          ? []
+          : args.slice(1).join(',').split(',').map(name => name.trim()).filter(Boolean);
+        const invalid = names.filter(name => !resolveLanguage(name));
+        if (invalid.length > 0) {
+          this.chatClient.say(channel, `@${user} Unknown language: ${invalid.join(', ')} (use e.g. es,pt,de)`);
+          return;
+        }
+        channelConfig.targetLanguages = [...new Set(names.map(resolveLanguage))];
+        break;
+      }
+      case 'languagedisplay':
+        if (!DISPLAY_STYLES.includes(value)) {
+          this.chatClient.say(channel, `@${user} languageDisplay must be one of: ${DISPLAY_STYLES.join(', ')}`);
+          return;
+        }
+        channelConfig.languageDisplay = value;
+        break;
+      case 'duplicatemode':
+        if (!channelConfigs.duplicateModes.includes(value)) {
+          this.chatClient.say(channel, `@${user} duplicateMode must be one of: ${channelConfigs.duplicateModes.join(', ')}`);
+          return;
+        }
+        channelConfig.duplicateMode = value;
+        break;
+      case 'responsemode':
+        if (!channelConfigs.responseModes.includes(value)) {
+          this.chatClient.say(channel, `@${user} responseMode must be one of: ${channelConfigs.responseModes.join(', ')}`);
+          return;
+        }
+        channelConfig.responseMode = value;
+        break;
+      case 'digestmode':
+        channelConfig.digestMode = value === 'true' || value === 'on';
+        break;
+      case 'bidirectional':
+        channelConfig.bidirectional = value === 'true' || value === 'on';
+        break;
+      case 'digestinterval': {
+        const seconds = parseInt(value, 10);
+        if (isNaN(seconds) || seconds < 5 || seconds > 300) {
+          this.chatClient.say(channel, `@${user} digestInterval must be between 5 and 300 seconds`);
+          return;
+        }
+        channelConfig.digestInterval = seconds;
+        break;
+      }
+      case 'minconfidence': {
+        // "default" falls back to the global MIN_CONFIDENCE
+        if (value === 'default') {
+          channelConfig.minConfidence = null;
+          break;
+        }
+        const threshold = parseFloat(value);
+        if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+          this.chatClient.say(channel, `@${user} minConfidence must be between 0 and 1 (or default)`);
+          return;
+        }
+        channelConfig.minConfidence = threshold;
+        break;
+      }
+      case 'responsetemplate': {
+        // Templates keep their case and spaces, so use the raw arguments
+        const template = args.slice(1).join(' ');
+        if (template.toLowerCase() === 'default') {
+          channelConfig.responseTemplate = channelConfigs.getDefaultConfig().responseTemplate;
+        } else if (!template.includes('{text}')) {
+          this.chatClient.say(channel, `@${user} Template must include {text} (also available: {user}, {from}, {to})`);
+          return;
+        } else {
+          channelConfig.responseTemplate = template;
+        }
+        break;
+      }
       default:
         this.chatClient.say(channel, `@${user} Unknown setting: ${setting}`);
         return;
@@ -151,21 +346,21 @@ class CommandHandler {
     
     // Save updated config
     channelConfigs.updateConfig(channelName, channelConfig);
-    this.chatClient.say(channel, `@${user} Updated: ${setting} = ${channelConfig[setting]}`);
+    
+    // Digests only lift the per-channel limit; past the global limit translations are still skipped
+    const note = setting === 'digestmode' && channelConfig.digestMode
+      ? ` (the bot-wide limit of ${config.RATE_LIMIT.messagesPerMinute} translations per minute still applies; translations past it are left out and logged)`
+      : '';
+    this.chatClient.say(channel, `@${user} Updated: ${settingKey} = ${channelConfig[settingKey]}${note}`);
   }
 
   // Handle exclude command
-  async handleExclude(channel, user, args, msg) {
+  async handleExclude(channel, user, args, prefix) {
     const channelName = normalizeChannelName(channel);
     const channelConfig = channelConfigs.getConfig(channelName);
     
-    // Only allow channel owner/mods
-    if (!msg.userInfo.isMod && user.toLowerCase() !== channelName) {
-      return;
-    }
-    
     if (args.length < 1) {
-      this.chatClient.say(channel, `@${user} Usage: !exclude [username]`);
+      this.sayUsage(channel, user, 'exclude', prefix);
       return;
     }
     
@@ -182,17 +377,12 @@ class CommandHandler {
   }
 
   // Handle include command
-  async handleInclude(channel, user, args, msg) {
+  async handleInclude(channel, user, args, prefix) {
     const channelName = normalizeChannelName(channel);
     const channelConfig = channelConfigs.getConfig(channelName);
     
-    // Only allow channel owner/mods
-    if (!msg.userInfo.isMod && user.toLowerCase() !== channelName) {
-      return;
-    }
-    
     if (args.length < 1) {
-      this.chatClient.say(channel, `@${user} Usage: !include [username]`);
+      this.sayUsage(channel, user, 'include', prefix);
       return;
     }
     
@@ -209,37 +399,423 @@ class CommandHandler {
     }
   }
 
-  // Handle help command
-  async handleHelp(channel, user, prefix) {
-    const helpCommands = [
-      `${prefix}translate`,
-      `${prefix}config`,
-      `${prefix}exclude`,
-      `${prefix}include`
-    ];
+  // Handle glossary command
+  async handleGlossary(channel, user, args, prefix) {
+    const channelName = normalizeChannelName(channel);
+    const channelConfig = channelConfigs.getConfig(channelName);
     
-    if (config.BOT_OWNER_ID 
-      ? user.toLowerCase() === config.BOT_OWNER_ID.toLowerCase() 
-      : user.toLowerCase() === normalizeChannelName(channel)) {
-      helpCommands.push(`${prefix}globalignore`);
+    if (args.length < 1) {
+      this.sayUsage(channel, user, 'glossary', prefix);
+      return;
     }
     
-    helpCommands.push(`${prefix}help`);
+    const action = args[0].toLowerCase();
+    const glossary = { ...(channelConfig.glossary || {}) };
     
-    this.chatClient.say(channel, `@${user} Available commands: ${helpCommands.join(', ')}`);
+    switch (action) {
+      case 'add': {
+        // "add term translation..." or "add multi word term = translation..."; no translation keeps the term as-is
+        const rest = args.slice(1).join(' ');
+        const separator = rest.indexOf('=');
+        const term = (separator !== -1 ? rest.slice(0, separator) : args[1] || '').trim();
+        const translation = (separator !== -1 ? rest.slice(separator + 1) : args.slice(2).join(' ')).trim();
+        
+        if (!term) {
+          this.chatClient.say(channel, `@${user} Usage: ${prefix}glossary add [term] [translation] (omit the translation to never translate the term)`);
+          return;
+        }
+        
+        glossary[term] = translation || null;
+        channelConfigs.updateConfig(channelName, { glossary });
+        this.chatClient.say(channel, translation
+          ? `@${user} Glossary: ${term} → ${translation}`
+          : `@${user} Glossary: ${term} will be kept as-is`);
+        break;
+      }
+        
+      case 'remove': {
+        const term = args.slice(1).join(' ').trim();
+        const existing = Object.keys(glossary).find(key => key.toLowerCase() === term.toLowerCase());
+        
+        if (!existing) {
+          this.chatClient.say(channel, `@${user} ${term} is not in the glossary.`);
+          return;
+        }
+        
+        delete glossary[existing];
+        channelConfigs.updateConfig(channelName, { glossary });
+        this.chatClient.say(channel, `@${user} Removed ${existing} from the glossary.`);
+        break;
+      }
+        
+      case 'list': {
+        const entries = Object.entries(glossary)
+          .map(([term, translation]) => (translation === null ? term : `${term} → ${translation}`));
+        
+        if (entries.length === 0) {
+          this.chatClient.say(channel, `@${user} Glossary is empty.`);
+        } else {
+          const maxEntriesPerMessage = 10;
+          for (let i = 0; i < entries.length; i += maxEntriesPerMessage) {
+            const chunk = entries.slice(i, i + maxEntriesPerMessage).join(', ');
+            this.chatClient.say(channel, `@${user} Glossary (${i+1}-${Math.min(i+maxEntriesPerMessage, entries.length)}/${entries.length}): ${chunk}`);
+          }
+        }
+        break;
+      }
+        
+      default:
+        this.chatClient.say(channel, `@${user} Unknown action: ${action}. Use add, remove, or list.`);
+    }
   }
 
-  // Handle refresh token command
-  async handleRefreshToken(channel, user, tokenManager) {
-    // Only allow channel owner to manually refresh token
-    if (user.toLowerCase() !== normalizeChannelName(channel)) {
+  // Handle languages command: manage which detected languages get translated.
+  // Allowed languages restrict translation to just those; blocked languages are never translated.
+  async handleLanguages(channel, user, args, prefix) {
+    const channelName = normalizeChannelName(channel);
+    const channelConfig = channelConfigs.getConfig(channelName);
+    
+    const action = args.length > 0 ? args[0].toLowerCase() : 'list';
+    const names = args.slice(1).join(',').split(',').map(name => name.trim()).filter(Boolean);
+    const codes = names.map(resolveLanguage);
+    let allowed = [...(channelConfig.languageFilter || [])];
+    let blocked = [...(channelConfig.languageBlocklist || [])];
+    
+    const describe = (list) => list.length > 0 ? list.map(code => formatLanguage(code, 'name')).join(', ') : 'none';
+    const summary = () => allowed.length > 0
+      ? `Only translating: ${describe(allowed)}. Blocked: ${describe(blocked)}.`
+      : `Translating all languages. Blocked: ${describe(blocked)}.`;
+    
+    if (['allow', 'block'].includes(action) || (action === 'clear' && names.length > 0)) {
+      const unknown = names.filter((name, i) => !codes[i]);
+      if (unknown.length > 0) {
+        this.chatClient.say(channel, `@${user} Unknown language: ${unknown.join(', ')} (use a code or name, e.g. es, pt-br, german)`);
+        return;
+      }
+      if (codes.length === 0) {
+        this.chatClient.say(channel, `@${user} Usage: ${prefix}languages ${action} [languages]`);
+        return;
+      }
+    }
+    
+    // A language is either allowed or blocked, never both
+    const without = (list) => list.filter(code => !codes.some(lang => isSameLanguage(code, lang)));
+    
+    switch (action) {
+      case 'allow':
+        allowed = [...without(allowed), ...codes];
+        blocked = without(blocked);
+        break;
+      case 'block':
+        blocked = [...without(blocked), ...codes];
+        allowed = without(allowed);
+        break;
+      case 'clear':
+        // Clear the given languages, or both lists
+        allowed = codes.length > 0 ? without(allowed) : [];
+        blocked = codes.length > 0 ? without(blocked) : [];
+        break;
+      case 'list':
+        this.chatClient.say(channel, `@${user} ${summary()}`);
+        return;
+      default:
+        this.sayUsage(channel, user, 'languages', prefix);
+        return;
+    }
+    
+    channelConfigs.updateConfig(channelName, {
+      languageFilter: [...new Set(allowed)],
+      languageBlocklist: [...new Set(blocked)]
+    });
+    this.chatClient.say(channel, `@${user} Updated. ${summary()}`);
+  }
+
+  // Handle filter command: manage the channel's blocked terms. Terms are masked
+  // in replies so managing the filter doesn't post them to chat.
+  async handleFilter(channel, user, args, prefix) {
+    const channelName = normalizeChannelName(channel);
+    const channelConfig = channelConfigs.getConfig(channelName);
+    const blockedTerms = [...(channelConfig.blockedTerms || [])];
+    
+    const action = args.length > 0 ? args[0].toLowerCase() : 'list';
+    const term = args.slice(1).join(' ').trim();
+    
+    switch (action) {
+      case 'add': {
+        // Words and wildcards are matched case-insensitively; regexes are kept as written
+        const newTerm = term.startsWith('/') ? term : term.toLowerCase();
+        if (!newTerm) {
+          this.chatClient.say(channel, `@${user} Usage: ${prefix}filter add [word, wild*card or /regex/]`);
+          return;
+        }
+        const errors = validateBlockedTerms([newTerm]);
+        if (errors.length > 0) {
+          this.chatClient.say(channel, `@${user} ${errors[0]}`);
+          return;
+        }
+        if (blockedTerms.includes(newTerm)) {
+          this.chatClient.say(channel, `@${user} That term is already filtered.`);
+          return;
+        }
+        
+        blockedTerms.push(newTerm);
+        channelConfigs.updateConfig(channelName, { blockedTerms });
+        this.chatClient.say(channel, `@${user} Added ${maskTerm(newTerm)} to the filter (${blockedTerms.length} total).`);
+        break;
+      }
+        
+      case 'remove': {
+        const index = blockedTerms.findIndex(existing => existing.toLowerCase() === term.toLowerCase());
+        if (index === -1) {
+          this.chatClient.say(channel, `@${user} That term is not in the filter.`);
+          return;
+        }
+        
+        const [removed] = blockedTerms.splice(index, 1);
+        channelConfigs.updateConfig(channelName, { blockedTerms });
+        this.chatClient.say(channel, `@${user} Removed ${maskTerm(removed)} from the filter.`);
+        break;
+      }
+        
+      case 'list':
+        if (blockedTerms.length === 0) {
+          this.chatClient.say(channel, `@${user} No channel terms in the filter (the default terms always apply).`);
+        } else {
+          const maxTermsPerMessage = 10;
+          for (let i = 0; i < blockedTerms.length; i += maxTermsPerMessage) {
+            const chunk = blockedTerms.slice(i, i + maxTermsPerMessage).map(maskTerm).join(', ');
+            this.chatClient.say(channel, `@${user} Filter (${i+1}-${Math.min(i+maxTermsPerMessage, blockedTerms.length)}/${blockedTerms.length}): ${chunk}`);
+          }
+        }
+        break;
+        
+      case 'test': {
+        if (!term) {
+          this.chatClient.say(channel, `@${user} Usage: ${prefix}filter test [text]`);
+          return;
+        }
+        const match = findBlockedTerm(term, blockedTerms);
+        this.chatClient.say(channel, match
+          ? `@${user} Blocked by ${maskTerm(match)}.`
+          : `@${user} Not blocked.`);
+        break;
+      }
+        
+      default:
+        this.sayUsage(channel, user, 'filter', prefix);
+    }
+  }
+
+  // Handle mylang command (any viewer can declare their own language)
+  async handleMyLang(channel, user, args, prefix) {
+    if (args.length < 1) {
+      const declared = userLanguages.getDeclared(user);
+      const detected = userLanguages.getLanguage(user);
+      this.chatClient.say(channel, declared
+        ? `@${user} Your language is set to ${formatLanguage(declared, 'name')}. Use ${prefix}mylang clear to reset.`
+        : `@${user} Your language is ${detected ? `detected as ${formatLanguage(detected, 'name')}` : 'not known yet'}. Use ${prefix}mylang [language] to set it.`);
+      return;
+    }
+    
+    const input = args.join(' ');
+    
+    if (input.toLowerCase() === 'clear') {
+      userLanguages.declare(user, null);
+      this.chatClient.say(channel, `@${user} Your language will be detected from your messages.`);
+      return;
+    }
+    
+    const lang = resolveLanguage(input);
+    if (!lang) {
+      this.chatClient.say(channel, `@${user} Unknown language: ${input} (use a code or name, e.g. es, pt-br, german)`);
       return;
     }
     
+    userLanguages.declare(user, lang);
+    this.chatClient.say(channel, `@${user} Your language is set to ${formatLanguage(lang, 'name')}.`);
+  }
+
+  // Handle help command: list the commands the user can use in this channel,
+  // or describe one command
+  async handleHelp(channel, user, args, msg, prefix) {
+    const channelConfig = channelConfigs.getConfig(channel);
+    const available = commandRegistry.commands.filter(command => 
+      !commandRegistry.isDisabled(command.name, channelConfig) &&
+      permissions.canUse(command.name, user, channel, msg, channelConfig));
+    
+    if (args.length < 1) {
+      const names = available.map(command => `${prefix}${command.name}`);
+      this.chatClient.say(channel, `@${user} Available commands: ${names.join(', ')}. Use ${prefix}help [command] for details.`);
+      return;
+    }
+    
+    const command = commandRegistry.get(args[0].replace(prefix, ''));
+    if (!command || !available.includes(command)) {
+      this.chatClient.say(channel, `@${user} Unknown command: ${args[0]}`);
+      return;
+    }
+    
+    const details = [`${command.description}. Usage: ${commandRegistry.usage(command.name, prefix)}`];
+    if (command.aliases.length > 0) {
+      details.push(`Aliases: ${command.aliases.map(alias => `${prefix}${alias}`).join(', ')}`);
+    }
+    const { global, user: perUser } = command.cooldown;
+    if (global > 0 || perUser > 0) {
+      details.push(`Cooldown: ${[global > 0 && `${global}s`, perUser > 0 && `${perUser}s per user`].filter(Boolean).join(', ')}`);
+    }
+    this.chatClient.say(channel, `@${user} ${details.join('. ')}`);
+  }
+
+  // Handle command command: turn individual commands on or off in this channel
+  async handleCommandToggle(channel, user, args, prefix) {
+    const channelName = normalizeChannelName(channel);
+    const channelConfig = channelConfigs.getConfig(channelName);
+    const disabled = [...(channelConfig.disabledCommands || [])];
+    
+    const action = args.length > 0 ? args[0].toLowerCase() : 'list';
+    if (action === 'list') {
+      this.chatClient.say(channel, `@${user} Disabled commands: ${disabled.length > 0 ? disabled.map(name => `${prefix}${name}`).join(', ') : 'none'}`);
+      return;
+    }
+    if (!['enable', 'disable'].includes(action) || args.length < 2) {
+      this.sayUsage(channel, user, 'command', prefix);
+      return;
+    }
+    
+    const command = commandRegistry.get(args[1].replace(prefix, ''));
+    if (!command) {
+      this.chatClient.say(channel, `@${user} Unknown command: ${args[1]}`);
+      return;
+    }
+    if (!command.canDisable) {
+      this.chatClient.say(channel, `@${user} ${prefix}${command.name} can't be disabled.`);
+      return;
+    }
+    
+    const disabledCommands = action === 'disable'
+      ? [...new Set([...disabled, command.name])]
+      : disabled.filter(name => name !== command.name);
+    channelConfigs.updateConfig(channelName, { disabledCommands });
+    this.chatClient.say(channel, `@${user} ${prefix}${command.name} ${action === 'disable' ? 'disabled' : 'enabled'}.`);
+  }
+
+  // Handle permission command: show or change the minimum role for a command in this channel
+  async handlePermission(channel, user, args, prefix) {
+    const channelName = normalizeChannelName(channel);
+    const channelConfig = channelConfigs.getConfig(channelName);
+    
+    if (args.length < 1) {
+      this.chatClient.say(channel, `@${user} Usage: ${commandRegistry.usage('permission', prefix)} (roles: ${permissions.roles.slice(0, -1).join(', ')})`);
+      return;
+    }
+    
+    const entry = commandRegistry.get(args[0].replace(prefix, ''));
+    if (!entry) {
+      this.chatClient.say(channel, `@${user} Unknown command: ${args[0]}`);
+      return;
+    }
+    const command = entry.name;
+    
+    if (args.length < 2) {
+      this.chatClient.say(channel, `@${user} ${prefix}${command} requires: ${permissions.getRequiredRole(command, channelConfig)}`);
+      return;
+    }
+    
+    const role = args[1].toLowerCase();
+    const commandRoles = { ...(channelConfig.commandRoles || {}) };
+    if (role === 'default') {
+      delete commandRoles[command];
+    } else {
+      const errors = permissions.validateOverrides({ [command]: role });
+      if (errors.length > 0) {
+        this.chatClient.say(channel, `@${user} ${errors[0]}`);
+        return;
+      }
+      commandRoles[command] = role;
+    }
+    
+    const updated = channelConfigs.updateConfig(channelName, { commandRoles });
+    this.chatClient.say(channel, `@${user} ${prefix}${command} now requires: ${permissions.getRequiredRole(command, updated)}`);
+  }
+
+  // Check if a channel is the bot's own channel, where broadcasters can invite the bot
+  isBotChannel(channel) {
+    const botName = config.BOT_USERNAME || tokenManager.userName;
+    return !!botName && normalizeChannelName(channel) === botName.toLowerCase();
+  }
+
+  // Check if a command without arguments is a self-invite: ALLOW_SELF_INVITE is
+  // on and it was typed in the bot's own channel
+  isSelfInvite(channel) {
+    return config.ALLOW_SELF_INVITE && this.isBotChannel(channel);
+  }
+
+  // Handle a broadcaster inviting the bot to (or removing it from) their own channel
+  async handleSelfInvite(channel, user, joining) {
+    if (joining) {
+      await this.handleJoin(channel, user, [user], '');
+    } else {
+      await this.handlePart(channel, user, [user], '');
+    }
+  }
+
+  // Check if a user may join or leave a channel. Without BOT_OWNER_ID every
+  // broadcaster counts as the owner, so they may only act on their own channel.
+  canManageChannel(user, target) {
+    return !!config.BOT_OWNER_ID || target === user.toLowerCase();
+  }
+
+  // Handle join command
+  async handleJoin(channel, user, args, prefix) {
+    if (args.length < 1) {
+      this.sayUsage(channel, user, 'join', prefix);
+      return;
+    }
+    
+    const target = normalizeChannelName(args[0].replace(/^@/, ''));
+    if (!this.canManageChannel(user, target)) {
+      this.chatClient.say(channel, `@${user} Without BOT_OWNER_ID set, you can only add the bot to your own channel.`);
+      return;
+    }
+    
+    try {
+      if (await chatConnection.join(target)) {
+        this.chatClient.say(channel, `@${user} Joined ${target}.`);
+      } else {
+        this.chatClient.say(channel, `@${user} Already in ${target}.`);
+      }
+    } catch (error) {
+      console.error(`Error joining ${target}:`, error.message);
+      this.chatClient.say(channel, `@${user} Couldn't join ${target}. Check the channel name and try again later.`);
+    }
+  }
+
+  // Handle part command
+  async handlePart(channel, user, args, prefix) {
+    if (args.length < 1) {
+      this.sayUsage(channel, user, 'part', prefix);
+      return;
+    }
+    
+    const target = normalizeChannelName(args[0].replace(/^@/, ''));
+    if (!this.canManageChannel(user, target)) {
+      this.chatClient.say(channel, `@${user} Without BOT_OWNER_ID set, you can only remove the bot from your own channel.`);
+      return;
+    }
+    
+    if (!chatConnection.part(target)) {
+      this.chatClient.say(channel, `@${user} Not in ${target}.`);
+    } else if (target !== normalizeChannelName(channel)) {
+      this.chatClient.say(channel, `@${user} Left ${target}.`);
+    }
+  }
+
+  // Handle refresh token command
+  async handleRefreshToken(channel, user, tokenManager) {
     this.chatClient.say(channel, `@${user} Manually refreshing token...`);
     
     try {
-      await tokenManager.refreshToken();
+      await tokenManager.refreshAccessToken();
       this.chatClient.say(channel, `@${user} Token successfully refreshed!`);
     } catch (error) {
       this.chatClient.say(channel, `@${user} Error refreshing token: ${error.message}`);
@@ -0,0 +1,95 @@
+const config = require('../config');
+const { debug, normalizeChannelName, joinIntoMessages } = require('../utils');
+const channelConfigs = require('../managers/channelConfigs');
+const monitoring = require('../utils/monitoring');
+
+// Collects translations per channel and posts them as combined messages on a
+// timer, so busy chats get one digest instead of a flood (or dropped lines)
+class DigestQueue {
+  constructor(send) {
+    this.send = send;
+    this.channels = {};
+  }
+
+  /**
+   * Queues a formatted translation for the channel's next digest
+   * @param {string} channel - The channel the translation belongs to
+   * @param {string} line - The formatted translation
+   * @param {Object} channelConfig - The channel configuration
+   */
+  enqueue(channel, line, channelConfig) {
+    const channelName = normalizeChannelName(channel);
+    const state = this.channels[channelName] || (this.channels[channelName] = {
+      channel,
+      lines: [],
+      timer: null
+    });
+
+    state.lines.push(line);
+
+    // Flush early rather than let the queue grow without bound
+    if (state.lines.length >= config.DIGEST_MAX_QUEUE) {
+      this.flushSafely(channelName);
+      return;
+    }
+
+    if (!state.timer) {
+      const interval = (channelConfig.digestInterval || 15) * 1000;
+      state.timer = setTimeout(() => this.flushSafely(channelName), interval);
+    }
+  }
+
+  /**
+   * Flushes a channel in the background, logging failures instead of leaving
+   * a rejected promise nobody awaits
+   * @param {string} channelName - The normalized channel name
+   */
+  flushSafely(channelName) {
+    this.flush(channelName).catch(error => {
+      console.error('Error flushing digest:', error);
+      monitoring.trackError('digest');
+    });
+  }
+
+  /**
+   * Posts all pending translations for a channel, split to fit Twitch's message limit
+   * @param {string} channelName - The normalized channel name
+   */
+  async flush(channelName) {
+    const state = this.channels[channelName];
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    const lines = state.lines;
+    state.lines = [];
+    if (lines.length === 0) return;
+
+    const messages = joinIntoMessages(lines, config.TWITCH_MESSAGE_LIMIT);
+    debug(`Flushing digest for ${channelName}: ${lines.length} translations in ${messages.length} messages`);
+
+    const channelConfig = channelConfigs.getConfig(channelName);
+    for (const message of messages) {
+      await this.send(state.channel, message, channelConfig);
+    }
+  }
+
+  // Flush every channel's pending translations (e.g. on shutdown)
+  async flushAll() {
+    for (const channelName of Object.keys(this.channels)) {
+      await this.flush(channelName);
+    }
+  }
+
+  // Number of translations waiting in each channel
+  getPending() {
+    const pending = {};
+    for (const [channelName, state] of Object.entries(this.channels)) {
+      pending[channelName] = state.lines.length;
+    }
+    return pending;
+  }
+}
+
+module.exports = DigestQueue;
@@ -1,26 +1,49 @@
-const { translate } = require('google-translate-api-x');
-const langdetect = require('langdetect');
+const { translate } = require('../providers');
+const languageDetector = require('../detectors');
 const config = require('../config');
 const { 
   debug, 
   normalizeChannelName, 
   sanitizeText, 
   processEmotes, 
+  stripPlaceholders,
+  restoreEmotes,
+  protectTokens,
+  restoreTokens,
+  applyGlossary,
+  restoreGlossary,
   isInappropriateMessage, 
-  isMessageTooLong 
+  isMessageTooLong,
+  isSameLanguage,
+  formatTemplate,
+  splitText
 } = require('../utils');
+const { formatLanguage } = require('../utils/languages');
 const channelConfigs = require('../managers/channelConfigs');
+const permissions = require('../managers/permissions');
 const globalIgnoreManager = require('../managers/globalIgnoreManager');
 const translationCache = require('../managers/translationCache');
+const duplicateDetector = require('../managers/duplicateDetector');
+const emoteManager = require('../managers/emoteManager');
+const userLanguages = require('../managers/userLanguages');
 const rateLimiter = require('../managers/rateLimiter');
+const cooldowns = require('../managers/cooldowns');
 const monitoring = require('../utils/monitoring');
 const CommandHandler = require('./commands');
+const commandRegistry = require('./commandRegistry');
+const DigestQueue = require('./digestQueue');
+
+// Response format used when a channel has no template configured
+const DEFAULT_TEMPLATE = '[{user}, {from}→{to}]: {text}';
 
 class MessageHandler {
   constructor(chatClient, tokenManager) {
     this.chatClient = chatClient;
     this.tokenManager = tokenManager;
     this.commandHandler = new CommandHandler(chatClient);
+    this.digestQueue = new DigestQueue((channel, text, channelConfig) => 
+      this.sendResponse(channel, text, null, channelConfig)
+    );
   }
 
   /**
@@ -30,7 +53,6 @@ class MessageHandler {
   setup() {
     this.chatClient.onMessage(async (channel, user, message, msg) => {
       try {
-        const startTime = Date.now();
         const channelName = normalizeChannelName(channel);
         const channelConfig = channelConfigs.getConfig(channelName);
         const prefix = channelConfig.prefix || '!';
@@ -43,19 +65,20 @@ class MessageHandler {
           return;
         }
         
-        // Check if this is a command
-        if (message.startsWith(prefix)) {
-          await this.handleCommand(channel, user, message, msg, prefix);
+        // Check if this is a command (Twitch replies start with @parent, so look past it)
+        const commandText = this.stripReplyMention(message, msg);
+        if (commandText.startsWith(prefix)) {
+          await this.handleCommand(channel, user, commandText, msg, prefix);
           monitoring.trackMessage(true, true);
           return;
         }
         
-        // Handle auto-translation
-        await this.handleAutoTranslation(channel, user, message, msg, channelConfig);
-        
-        // Track processing time
-        const duration = Date.now() - startTime;
-        monitoring.trackTranslation(true, false, duration);
+        // Translate streamer/mod replies back to the viewers they mention,
+        // otherwise handle auto-translation
+        const replied = await this.handleReplyTranslation(channel, user, message, msg, channelConfig);
+        if (!replied) {
+          await this.handleAutoTranslation(channel, user, message, msg, channelConfig);
+        }
       } catch (error) {
         console.error('Error processing message:', error);
         monitoring.trackError('message_processing');
@@ -80,6 +103,22 @@ class MessageHandler {
     return true;
   }
 
+  /**
+   * Removes the @mention Twitch adds to the start of a reply
+   * @param {string} message - The message text
+   * @param {Object} msg - The message object from Twitch
+   * @returns {string} - The message without the leading reply mention
+   */
+  stripReplyMention(message, msg) {
+    if (!msg || !msg.isReply || !msg.parentMessageUserName) {
+      return message;
+    }
+    const mention = `@${msg.parentMessageUserName.toLowerCase()} `;
+    return message.toLowerCase().startsWith(mention)
+      ? message.slice(mention.length).trimStart()
+      : message;
+  }
+
   /**
    * Handles command execution
    * @param {string} channel - The channel the command was sent in
@@ -101,41 +140,49 @@ class MessageHandler {
       
       // Parse command and arguments
       const args = message.slice(prefix.length).trim().split(/\s+/);
-      const command = args.shift().toLowerCase();
+      const command = commandRegistry.get(args.shift());
       
-      // Check if the command is moderator-only and user is not a mod
-      if (channelConfig.moderatorOnly && !msg.userInfo.isMod && user.toLowerCase() !== channelName) {
+      // Ignore unknown commands and commands the channel has turned off
+      if (!command || commandRegistry.isDisabled(command.name, channelConfig)) {
         monitoring.trackMessage(false);
         return;
       }
       
-      // Handle different commands
-      switch (command) {
-        case 'globalignore':
-        case 'gignore':
-          await this.commandHandler.handleGlobalIgnore(channel, user, args, prefix, command);
-          break;
-        case 'translate':
-          await this.commandHandler.handleTranslate(channel, user, args);
-          break;
-        case 'config':
-          await this.commandHandler.handleConfig(channel, user, args, msg);
-          break;
-        case 'exclude':
-          await this.commandHandler.handleExclude(channel, user, args, msg);
-          break;
-        case 'include':
-          await this.commandHandler.handleInclude(channel, user, args, msg);
-          break;
-        case 'help':
-          await this.commandHandler.handleHelp(channel, user, prefix);
-          break;
-        case 'refreshtoken':
-          await this.commandHandler.handleRefreshToken(channel, user, this.tokenManager);
-          break;
-        default:
+      // Broadcasters invite the bot to (or remove it from) their channel from the bot's own channel
+      const isSelfInvite = (command.name === 'join' || command.name === 'part') && args.length === 0 &&
+        this.commandHandler.isSelfInvite(channel);
+      
+      // Check the user's role against the command's minimum role
+      if (!isSelfInvite && !permissions.canUse(command.name, user, channel, msg, channelConfig)) {
+        monitoring.trackMessage(false);
+        return;
+      }
+      
+      // Moderators and above skip cooldowns
+      const isStaff = permissions.hasRole(permissions.getRole(user, channel, msg), 'moderator');
+      if (!isStaff) {
+        const remaining = cooldowns.remaining(channelName, command.name, user);
+        if (remaining > 0) {
+          debug(`${prefix}${command.name} on cooldown for ${user} in ${channelName} (${remaining}s)`);
           monitoring.trackMessage(false);
+          return;
+        }
+        cooldowns.start(channelName, command.name, user, command.cooldown);
       }
+      
+      if (isSelfInvite) {
+        await this.commandHandler.handleSelfInvite(channel, user, command.name === 'join');
+        return;
+      }
+      
+      await command.run(this.commandHandler, {
+        channel,
+        user,
+        args,
+        msg,
+        prefix,
+        tokenManager: this.tokenManager
+      });
     } catch (error) {
       console.error('Error handling command:', error);
       monitoring.trackError('command_processing');
@@ -143,6 +190,128 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Logs and counts translations a digest channel loses to the global rate
+   * limit, which digest mode doesn't lift
+   * @param {string} channelName - The normalized channel name
+   * @param {number} count - How many translations were left out
+   */
+  reportDigestDrop(channelName, count) {
+    console.warn(`Global rate limit reached: ${count} translation(s) for ${channelName} left out of the digest`);
+    monitoring.trackDigestDrop(channelName, count);
+  }
+
+  /**
+   * Posts a translation using the channel's response mode
+   * @param {string} channel - The channel to post in
+   * @param {string} response - The formatted response text
+   * @param {Object} msg - The message object from Twitch being translated
+   * @param {Object} channelConfig - The channel configuration
+   */
+  async sendResponse(channel, response, msg, channelConfig) {
+    // Long responses (e.g. several target languages) are split to fit Twitch's limit
+    for (const part of splitText(response, config.TWITCH_MESSAGE_LIMIT)) {
+      switch (channelConfig.responseMode) {
+        case 'reply':
+          // Fall back to a plain message if the original has no id to reply to
+          if (msg && msg.id) {
+            await this.chatClient.say(channel, part, { replyTo: msg });
+          } else {
+            await this.chatClient.say(channel, part);
+          }
+          break;
+        case 'action':
+          await this.chatClient.action(channel, part);
+          break;
+        default:
+          await this.chatClient.say(channel, part);
+      }
+    }
+  }
+
+  /**
+   * Replaces emotes, glossary terms and protected tokens with placeholders and
+   * sanitizes the result
+   * @param {string} message - The raw chat message
+   * @param {Object} msg - The message object from Twitch
+   * @param {string} channelName - The normalized channel name
+   * @param {Object} channelConfig - The channel configuration
+   * @returns {Object|null} - The text to translate plus what's needed to restore
+   *   it, or null if nothing translatable is left
+   */
+  prepareText(message, msg, channelName, channelConfig) {
+    // Replace Twitch and third-party emotes with placeholders so they aren't translated
+    emoteManager.ensureChannel(channelName, msg && msg.channelId);
+    const emoteData = processEmotes(message, {
+      emoteOffsets: msg && msg.emoteOffsets,
+      isThirdPartyEmote: (word) => emoteManager.isEmote(channelName, word)
+    });
+    
+    // Lock in the channel's glossary terms, then protect links, mentions,
+    // hashtags, code-like tokens and numbers the same way
+    const glossaryData = applyGlossary(emoteData.processed, channelConfig.glossary);
+    const tokenData = protectTokens(glossaryData.processed);
+    
+    if ((emoteData.hasEmotes || tokenData.tokens.length > 0) && 
+        stripPlaceholders(tokenData.processed).trim().length < 5) {
+      return null;
+    }
+    
+    return {
+      text: sanitizeText(tokenData.processed),
+      emoteData,
+      glossaryData,
+      tokenData
+    };
+  }
+
+  /**
+   * Restores protected tokens, glossary terms, then emotes in a translation
+   * @param {string} translatedText - The translated text with placeholders
+   * @param {Object} prepared - The result of prepareText
+   * @returns {string} - The final text
+   */
+  restoreText(translatedText, { emoteData, glossaryData, tokenData }) {
+    let text = translatedText;
+    if (tokenData.tokens.length > 0) {
+      text = restoreTokens(text, tokenData.tokens);
+    }
+    if (glossaryData.replacements.length > 0) {
+      text = restoreGlossary(text, glossaryData.replacements);
+    }
+    if (emoteData.hasEmotes) {
+      text = restoreEmotes(text, emoteData.emotes);
+    }
+    return text;
+  }
+
+  /**
+   * Translates text, using the cache when possible
+   * @param {string} text - The prepared text to translate
+   * @param {string} sourceLang - The source language
+   * @param {string} targetLang - The target language
+   * @returns {Promise<Object|null>} - { text, cached }, or null if translation failed
+   */
+  async translateText(text, sourceLang, targetLang) {
+    const cachedText = translationCache.get(text, sourceLang, targetLang);
+    if (cachedText) {
+      return { text: cachedText, cached: true };
+    }
+    
+    try {
+      // The provider enforces its own timeout
+      const result = await translate(text, { to: targetLang });
+      const translatedText = sanitizeText(result.text);
+      translationCache.add(text, sourceLang, targetLang, translatedText);
+      return { text: translatedText, cached: false };
+    } catch (error) {
+      console.error(`Translation error (${error.provider || 'unknown'}, ${error.type || 'unknown'}):`, error.message);
+      monitoring.trackError(error.type ? `translation_${error.type}` : 'translation');
+      monitoring.trackTranslation(false);
+      return null;
+    }
+  }
+
   /**
    * Validates a message for translation
    * @param {string} message - The message to validate
@@ -174,6 +343,120 @@ class MessageHandler {
     return true;
   }
 
+  /**
+   * Collects the viewers a message is addressed to: @mentions plus the author
+   * of the message being replied to
+   * @param {string} message - The message to scan
+   * @param {Object} msg - The message object from Twitch
+   * @param {string} user - The user who sent the message
+   * @returns {string[]} - Lowercase usernames, without the sender or the bot
+   */
+  getMentionedUsers(message, msg, user) {
+    const names = new Set();
+    if (msg && msg.isReply && msg.parentMessageUserName) {
+      names.add(msg.parentMessageUserName.toLowerCase());
+    }
+    for (const match of message.matchAll(/(?:^|\s)@(\w{1,25})/g)) {
+      names.add(match[1].toLowerCase());
+    }
+    
+    names.delete(user.toLowerCase());
+    if (config.BOT_USERNAME) {
+      names.delete(config.BOT_USERNAME.toLowerCase());
+    }
+    return [...names];
+  }
+
+  /**
+   * Translates a streamer or moderator reply into the language of each viewer
+   * it mentions, when the channel has bidirectional translation enabled
+   * @param {string} channel - The channel the message was sent in
+   * @param {string} user - The user who sent the message
+   * @param {string} message - The reply to translate
+   * @param {Object} msg - The message object from Twitch
+   * @param {Object} channelConfig - The channel configuration
+   * @returns {Promise<boolean>} - Whether the message was handled as a reply
+   */
+  async handleReplyTranslation(channel, user, message, msg, channelConfig) {
+    if (!channelConfig.bidirectional || !channelConfig.autoTranslate) {
+      return false;
+    }
+    
+    const channelName = normalizeChannelName(channel);
+    if (!permissions.hasRole(permissions.getRole(user, channel, msg), 'moderator')) {
+      return false;
+    }
+    
+    // Only viewers whose language we know and that differs from the channel's
+    const sourceLang = channelConfig.targetLanguage || 'en';
+    const recipients = [];
+    for (const name of this.getMentionedUsers(message, msg, user)) {
+      const lang = userLanguages.getLanguage(name);
+      if (lang && !isSameLanguage(lang, sourceLang)) {
+        recipients.push({ name, lang });
+      }
+    }
+    if (recipients.length === 0) {
+      return false;
+    }
+    
+    const startTime = Date.now();
+    try {
+      const prepared = this.prepareText(message, msg, channelName, channelConfig);
+      if (!prepared || isInappropriateMessage(message, channelConfig.blockedTerms)) {
+        monitoring.trackMessage(false);
+        return true;
+      }
+      
+      // Several viewers can share a language; translate once per language
+      const languages = [...new Set(recipients.map(({ lang }) => lang))];
+      for (const lang of languages) {
+        if (!rateLimiter.shouldTranslate(channel, { perChannel: !channelConfig.digestMode })) {
+          if (channelConfig.digestMode) {
+            this.reportDigestDrop(channelName, languages.length - languages.indexOf(lang));
+          }
+          monitoring.trackMessage(false);
+          break;
+        }
+        
+        debug(`Translating reply from ${user} in ${channel} to ${lang}`);
+        const translation = await this.translateText(prepared.text, sourceLang, lang);
+        if (!translation || !translation.text) {
+          continue;
+        }
+        
+        // The translator can produce blocked terms from harmless-looking input
+        const text = this.restoreText(translation.text, prepared);
+        if (isInappropriateMessage(text, channelConfig.blockedTerms)) {
+          debug(`Dropping filtered reply translation to ${lang}`);
+          continue;
+        }
+        
+        const response = formatTemplate(channelConfig.responseTemplate || DEFAULT_TEMPLATE, {
+          user,
+          from: formatLanguage(sourceLang, channelConfig.languageDisplay),
+          to: formatLanguage(lang, channelConfig.languageDisplay),
+          text
+        });
+        
+        if (channelConfig.digestMode) {
+          this.digestQueue.enqueue(channel, response, channelConfig);
+        } else {
+          await this.sendResponse(channel, response, msg, channelConfig);
+        }
+        debug(`Reply translation for ${channel}: ${response}`);
+        const duration = Date.now() - startTime;
+        monitoring.trackLatency(channelName, sourceLang, duration);
+        monitoring.trackTranslation(true, translation.cached, duration);
+      }
+    } catch (error) {
+      console.error('Error in reply translation:', error);
+      monitoring.trackError('reply_translation');
+      monitoring.trackMessage(false);
+    }
+    return true;
+  }
+
   /**
    * Handles auto-translation of messages
    * @param {string} channel - The channel the message was sent in
@@ -183,40 +466,52 @@ class MessageHandler {
    * @param {Object} channelConfig - The channel configuration
    */
   async handleAutoTranslation(channel, user, message, msg, channelConfig) {
+    const startTime = Date.now();
     try {
       // Validate message for translation
       if (!this.validateForTranslation(message, user, channelConfig)) {
         return;
       }
       
-      // Process emotes in the message
-      const emoteData = processEmotes(message);
+      const channelName = normalizeChannelName(channel);
+      const prepared = this.prepareText(message, msg, channelName, channelConfig);
       
-      // Skip if message is only emotes
-      if (emoteData.hasEmotes && emoteData.processed.trim().replace(/\{EMOTE\}/g, '').length < 5) {
-        debug('Skipping message containing only emotes');
+      // Skip if message is only emotes and protected tokens
+      if (!prepared) {
+        debug('Skipping message containing only emotes and protected tokens');
         monitoring.trackMessage(false);
         return;
       }
       
-      // Sanitize the input
-      const sanitizedMessage = sanitizeText(emoteData.processed);
+      const sanitizedMessage = prepared.text;
       
-      // Skip inappropriate messages
-      if (isInappropriateMessage(sanitizedMessage)) {
+      // Skip messages with blocked terms, checking the original text so terms
+      // hidden in links, hashtags or emote placeholders are caught too
+      if (isInappropriateMessage(message, channelConfig.blockedTerms)) {
         debug('Skipping potentially inappropriate message');
         monitoring.trackMessage(false);
         return;
       }
       
-      // Apply rate limiting
-      if (!rateLimiter.shouldTranslate(channel)) {
+      // Check for copy-pasta: a near-duplicate of a message translated moments ago
+      const targetLangs = channelConfigs.getTargetLanguages(channelConfig);
+      const duplicateMode = channelConfig.duplicateMode || 'off';
+      const duplicates = {};
+      if (duplicateMode !== 'off') {
+        for (const lang of targetLangs) {
+          const duplicate = duplicateDetector.find(channel, sanitizedMessage, lang);
+          if (duplicate) duplicates[lang] = duplicate;
+        }
+      }
+      
+      if (duplicateMode === 'suppress' && Object.keys(duplicates).length > 0) {
+        debug('Suppressing near-duplicate message');
         monitoring.trackMessage(false);
         return;
       }
       
       // Try to detect the language
-      const detection = langdetect.detect(sanitizedMessage);
+      const detection = languageDetector.detect(stripPlaceholders(sanitizedMessage));
       
       // If no detection results, ignore
       if (!detection || detection.length === 0) {
@@ -224,82 +519,130 @@ class MessageHandler {
         return;
       }
       
+      const minConfidence = typeof channelConfig.minConfidence === 'number'
+        ? channelConfig.minConfidence
+        : config.MIN_CONFIDENCE;
+      
+      // Confident detections update the user's language profile; unsure ones
+      // lean on it instead
+      let ranked = detection;
+      if (detection[0].prob >= minConfidence) {
+        userLanguages.observe(user, detection[0].lang, detection[0].prob);
+      } else {
+        ranked = userLanguages.applyPrior(user, detection);
+      }
+      
       // Get the detected language
-      const detectedLang = detection[0].lang;
-      const confidence = detection[0].prob;
+      const detectedLang = ranked[0].lang;
+      const confidence = ranked[0].prob;
       debug(`Detected language: ${detectedLang} (confidence: ${confidence.toFixed(2)})`);
       
-      // Skip if confidence is too low or if it's already English
-      if (confidence < config.MIN_CONFIDENCE || detectedLang === 'en') {
+      // Skip if confidence is too low
+      if (confidence < minConfidence) {
+        monitoring.trackMessage(false);
+        return;
+      }
+      
+      // Only translate into languages the message isn't already in
+      const pendingLangs = targetLangs.filter(lang => !isSameLanguage(detectedLang, lang));
+      if (pendingLangs.length === 0) {
         monitoring.trackMessage(false);
         return;
       }
       
-      // Check if channel has language filter and this language isn't in it
-      if (channelConfig.languageFilter.length > 0 && 
-          !channelConfig.languageFilter.includes(detectedLang)) {
+      // Check if channel has language filter and this language isn't in it, or blocks it
+      const blocklist = channelConfig.languageBlocklist || [];
+      if ((channelConfig.languageFilter.length > 0 && 
+          !channelConfig.languageFilter.some(lang => isSameLanguage(detectedLang, lang))) ||
+          blocklist.some(lang => isSameLanguage(detectedLang, lang))) {
         debug(`Skipping filtered language: ${detectedLang}`);
         monitoring.trackMessage(false);
         return;
       }
       
-      debug(`Translating message from ${channel}: ${sanitizedMessage}`);
+      // Apply rate limiting: every pair that needs the translator counts against
+      // the budget (digest mode only counts against the global limit). If only
+      // part of the fan-out fits, keep the languages listed first.
+      const needsApi = pendingLangs.filter(lang => 
+        !duplicates[lang] && !translationCache.has(sanitizedMessage, detectedLang, lang)
+      );
+      const granted = rateLimiter.reserve(channel, Math.max(needsApi.length, 1), {
+        perChannel: !channelConfig.digestMode
+      });
+      if (granted === 0) {
+        if (channelConfig.digestMode) {
+          this.reportDigestDrop(channelName, Math.max(needsApi.length, 1));
+        }
+        monitoring.trackMessage(false);
+        return;
+      }
+      const dropped = new Set(needsApi.slice(granted));
+      if (channelConfig.digestMode && dropped.size > 0) {
+        this.reportDigestDrop(channelName, dropped.size);
+      }
+      const langs = pendingLangs.filter(lang => !dropped.has(lang));
       
-      // Check if we have a cached translation
-      let translatedText = translationCache.get(sanitizedMessage, detectedLang, 'en');
-      let wasCached = false;
+      debug(`Translating message from ${channel} into ${langs.join(', ')}: ${sanitizedMessage}`);
       
-      // If not in cache, call translation API
-      if (!translatedText) {
-        try {
-          // Translate to English with timeout to prevent hanging
-          const translationPromise = translate(sanitizedMessage, { to: 'en' });
-          const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Translation timed out')), 5000)
-          );
-          
-          const result = await Promise.race([translationPromise, timeoutPromise]);
-          translatedText = sanitizeText(result.text);
-          
-          // Store in cache
-          translationCache.add(sanitizedMessage, detectedLang, 'en', translatedText);
-        } catch (error) {
-          console.error('Translation error:', error);
-          monitoring.trackError('translation');
-          monitoring.trackTranslation(false);
-          return;
+      // Reuse earlier translations of a near-duplicate, otherwise translate (or hit the cache)
+      const results = [];
+      let allCached = true;
+      for (const lang of langs) {
+        const translation = duplicates[lang]
+          ? { text: duplicates[lang].translatedText, cached: true }
+          : await this.translateText(sanitizedMessage, detectedLang, lang);
+        
+        // Skip languages whose translation failed or is empty
+        if (!translation || !translation.text) {
+          continue;
         }
-      } else {
-        wasCached = true;
+        
+        // Drop translations that came out with blocked terms in them
+        const text = this.restoreText(translation.text, prepared);
+        if (isInappropriateMessage(text, channelConfig.blockedTerms)) {
+          debug(`Dropping filtered translation to ${lang}`);
+          continue;
+        }
+        
+        // Remember this message for near-duplicate detection
+        if (duplicateMode !== 'off' && !duplicates[lang]) {
+          duplicateDetector.record(channel, sanitizedMessage, detectedLang, lang, translation.text);
+        }
+        
+        allCached = allCached && translation.cached;
+        results.push({ lang, text });
       }
       
-      // Skip if translation failed or is empty
-      if (!translatedText) {
+      if (results.length === 0) {
         debug('Empty translation result, skipping');
         monitoring.trackMessage(false);
         return;
       }
       
-      // Restore emotes if needed
-      if (emoteData.hasEmotes) {
-        // Replace {EMOTE} placeholders with actual emotes
-        let emoteIndex = 0;
-        translatedText = translatedText.replace(/\{EMOTE\}/g, () => {
-          const emote = emoteData.emotes[emoteIndex] || '';
-          emoteIndex++;
-          return emote;
-        });
-      }
-      
-      // Format the response
-      const response = `[${user}, ${detectedLang}→en]: ${translatedText}`;
+      // Format the response; several languages share one compact line
+      const display = (lang) => formatLanguage(lang, channelConfig.languageDisplay);
+      const response = formatTemplate(channelConfig.responseTemplate || DEFAULT_TEMPLATE, {
+        user,
+        from: display(detectedLang),
+        to: results.map(({ lang }) => display(lang)).join('/'),
+        text: results.length === 1
+          ? results[0].text
+          : results.map(({ lang, text }) => `${display(lang)}: ${text}`).join(' | ')
+      });
       
-      // Send the translated message to the channel
-      await this.chatClient.say(channel, response);
-      debug(`Translation sent to ${channel}: ${response}`);
+      // Send the translated message to the channel, or queue it for the next digest
+      if (channelConfig.digestMode) {
+        this.digestQueue.enqueue(channel, response, channelConfig);
+        debug(`Translation queued for ${channel}: ${response}`);
+      } else {
+        await this.sendResponse(channel, response, msg, channelConfig);
+        debug(`Translation sent to ${channel}: ${response}`);
+      }
+      const duration = Date.now() - startTime;
+      monitoring.trackLatency(channelName, detectedLang, duration);
       
       // Track successful translation
-      monitoring.trackTranslation(true, wasCached);
+      monitoring.trackTranslation(true, allCached, duration);
     } catch (error) {
       console.error('Error in auto-translation:', error);
       monitoring.trackError('auto_translation');
@@ -1,26 +1,16 @@
-const { ChatClient } = require('@twurple/chat');
-const { StaticAuthProvider } = require('@twurple/auth');
 const config = require('./config');
 const tokenManager = require('./managers/tokenManager');
 const channelConfigs = require('./managers/channelConfigs');
 const globalIgnoreManager = require('./managers/globalIgnoreManager');
+const channelList = require('./managers/channelList');
 const translationCache = require('./managers/translationCache');
+const emoteManager = require('./managers/emoteManager');
+const userLanguages = require('./managers/userLanguages');
 const rateLimiter = require('./managers/rateLimiter');
 const MessageHandler = require('./handlers/messageHandler');
+const apiServer = require('./server');
+const chatConnection = require('./connection');
 const monitoring = require('./utils/monitoring');
-const { debug } = require('./utils');
-
-// Create a new chat client with the current token
-function createChatClient(token) {
-  const authProvider = new StaticAuthProvider(config.CLIENT_ID, token);
-  return new ChatClient({
-    authProvider,
-    channels: config.CHANNELS,
-    logger: {
-      minLevel: config.DEBUG ? 'debug' : 'info'
-    }
-  });
-}
 
 // Main async function
 async function main() {
@@ -34,51 +24,51 @@ async function main() {
     // Initialize global ignore list
     globalIgnoreManager.init();
 
-    // Create chat client
-    let chatClient = createChatClient(tokenManager.accessToken);
+    // Restore persisted translations
+    translationCache.load();
 
-    // Initialize channel configurations
+    // Load third-party emote lists
+    emoteManager.init();
+
+    // Load per-user language profiles
+    userLanguages.init();
+
+    // Load the joined channels, then their configurations
+    channelList.init();
     await channelConfigs.init();
 
-    // Connect to chat
-    await chatClient.connect();
-    console.log('Connected to Twitch Chat');
+    // Set up message handler before connecting so no messages are missed
+    const messageHandler = new MessageHandler(chatConnection.chatClient, tokenManager);
+    chatConnection.attach(messageHandler);
+
+    // Connect to chat; tokens are refreshed in the background from here on
+    await chatConnection.connect();
 
-    // Set up periodic token refresh
-    const tokenRefreshInterval = setInterval(async () => {
-      if (tokenManager.needsRefresh()) {
-        try {
-          debug('Performing scheduled token refresh');
-          await tokenManager.refreshToken();
-          
-          // Recreate chat client with new token
-          debug('Disconnecting old chat client for token update');
-          await chatClient.quit();
-          
-          // Create new chat client with fresh token
-          chatClient = createChatClient(tokenManager.accessToken);
-          
-          // Reconnect
-          debug('Reconnecting chat client with new token');
-          await chatClient.connect();
-          console.log('Reconnected to Twitch Chat with refreshed token');
-          
-          // Reattach message handler
-          const messageHandler = new MessageHandler(chatClient, tokenManager);
-          messageHandler.setup();
-          
-        } catch (error) {
-          console.error('Failed to refresh token:', error.message);
-          monitoring.trackError('token_refresh');
-        }
-      }
-    }, config.TOKEN_REFRESH_INTERVAL);
+    // Start monitoring and admin API
+    try {
+      await apiServer.start();
+    } catch (error) {
+      console.error(`Failed to start monitoring API on port ${config.PORT}:`, error.message);
+      monitoring.trackError('api_startup');
+    }
 
     // Set up periodic cache cleaning
     setInterval(() => {
       translationCache.cleanExpired();
     }, 60 * 60 * 1000); // Clean cache every hour
 
+    // Set up periodic saving of user language profiles
+    setInterval(() => {
+      userLanguages.save();
+    }, 5 * 60 * 1000); // Save every 5 minutes
+
+    // Set up periodic cache snapshots
+    if (config.CACHE_PERSIST) {
+      setInterval(() => {
+        translationCache.saveSnapshot();
+      }, config.CACHE_SNAPSHOT_INTERVAL);
+    }
+
     // Set up periodic monitoring
     setInterval(() => {
       monitoring.updatePerformance();
@@ -86,15 +76,14 @@ async function main() {
       rateLimiter.logStats();
     }, 5 * 60 * 1000); // Log metrics every 5 minutes
 
-    // Set up message handler
-    const messageHandler = new MessageHandler(chatClient, tokenManager);
-    messageHandler.setup();
-
     // Handle graceful shutdown
     process.on('SIGINT', async () => {
       console.log('Bot is shutting down...');
-      clearInterval(tokenRefreshInterval);
-      await chatClient.quit();
+      translationCache.saveSnapshot();
+      userLanguages.save();
+      await messageHandler.digestQueue.flushAll();
+      await apiServer.stop();
+      await chatConnection.stop();
       
       // Log final metrics
       monitoring.logMetrics();
@@ -2,21 +2,38 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const { debug, normalizeChannelName } = require('../utils');
+const { isKnownLanguage, DISPLAY_STYLES } = require('../utils/languages');
+const { validateBlockedTerms } = require('../utils/moderation');
+const channelList = require('./channelList');
+const permissions = require('./permissions');
+const commandRegistry = require('../handlers/commandRegistry');
+
+// Handling of near-duplicate messages (see duplicateDetector)
+const DUPLICATE_MODES = ['off', 'suppress', 'reuse'];
+
+// How translations are posted: plain message, Twitch reply to the original, or /me action
+const RESPONSE_MODES = ['say', 'reply', 'action'];
+
+// Longest command prefix; an empty one would make every message a command
+const MAX_PREFIX_LENGTH = 5;
 
 class ChannelConfigs {
   constructor() {
     this.configs = {};
+    this.duplicateModes = DUPLICATE_MODES;
+    this.responseModes = RESPONSE_MODES;
+    this.maxPrefixLength = MAX_PREFIX_LENGTH;
   }
 
   // Initialize configurations for all channels
   async init() {
     // Create config directory if it doesn't exist
-    if (!fs.existsSync(config.CONFIG_DIR)) {
-      fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+    if (!fs.existsSync(config.CHANNEL_CONFIG_DIR)) {
+      fs.mkdirSync(config.CHANNEL_CONFIG_DIR, { recursive: true });
     }
     
-    // Load configurations for each channel name (without user IDs)
-    for (const channelName of config.CHANNELS) {
+    // Load configurations for each joined channel name (without user IDs)
+    for (const channelName of channelList.channels) {
       this.loadConfigByName(channelName);
     }
   }
@@ -24,13 +41,14 @@ class ChannelConfigs {
   // Load config for a channel by name
   loadConfigByName(channelName) {
     const normalizedName = normalizeChannelName(channelName);
-    const configPath = path.join(config.CONFIG_DIR, `${normalizedName}.json`);
+    const configPath = this.getConfigPath(normalizedName);
     
     try {
+      this.migrateLegacyConfig(normalizedName, configPath);
       if (fs.existsSync(configPath)) {
         const data = fs.readFileSync(configPath, 'utf8');
         try {
-          this.configs[normalizedName] = JSON.parse(data);
+          this.configs[normalizedName] = this.dropInvalidSettings(normalizedName, JSON.parse(data));
           debug(`Loaded config for ${normalizedName} from ${configPath}`);
         } catch (parseError) {
           console.error(`Error parsing JSON in config for ${normalizedName}: ${parseError.message}`);
@@ -66,6 +84,33 @@ class ChannelConfigs {
     }
   }
   
+  // Get the path of a channel's config file
+  getConfigPath(channelName) {
+    return path.join(config.CHANNEL_CONFIG_DIR, `${normalizeChannelName(channelName)}.json`);
+  }
+  
+  // Move a config saved by older versions directly in CONFIG_DIR into
+  // CHANNEL_CONFIG_DIR. Files that belong to the bot itself (e.g. channels.json
+  // for a channel named "channels") are left alone.
+  migrateLegacyConfig(channelName, configPath) {
+    const legacyPath = path.join(config.CONFIG_DIR, `${channelName}.json`);
+    const botFiles = [
+      config.TOKEN_FILE,
+      config.GLOBAL_IGNORE_FILE,
+      config.USER_LANGUAGE_FILE,
+      config.CHANNEL_LIST_FILE,
+      config.EMOTE_FILE
+    ].map(file => path.resolve(file));
+    
+    if (fs.existsSync(configPath) || !fs.existsSync(legacyPath) || botFiles.includes(path.resolve(legacyPath))) {
+      return;
+    }
+    
+    fs.mkdirSync(config.CHANNEL_CONFIG_DIR, { recursive: true });
+    fs.renameSync(legacyPath, configPath);
+    console.log(`Moved config for ${channelName} to ${configPath}`);
+  }
+  
   // Get default configuration
   getDefaultConfig() {
     return {
@@ -73,17 +118,123 @@ class ChannelConfigs {
       respondToCommands: true,
       excludedUsers: [],
       languageFilter: [], // Empty = all languages, otherwise only these language codes
+      languageBlocklist: [], // Language codes that are never translated
+      targetLanguage: 'en', // Language that messages are translated into
+      targetLanguages: [], // Additional languages every message is also translated into
+      duplicateMode: 'off', // Near-duplicate messages: off, suppress (don't repost) or reuse (repost earlier translation)
+      responseMode: 'say', // say, reply or action
+      responseTemplate: '[{user}, {from}→{to}]: {text}', // Placeholders: {user}, {from}, {to}, {text}
+      languageDisplay: 'code', // Show languages as a code (es), English name (Spanish) or native name (Español)
+      digestMode: false, // Queue translations and post them as combined messages
+      digestInterval: 15, // Seconds between digest messages
+      bidirectional: false, // Translate streamer/mod replies into the language of the @mentioned viewer
+      glossary: {}, // term -> fixed translation, or null to keep the term as-is
+      blockedTerms: [], // Words, wild*cards or /regexes/ never translated or posted (see utils/moderation)
+      minConfidence: null, // Detection confidence threshold (0-1), null = MIN_CONFIDENCE
+      commandRoles: {}, // command -> minimum role, overriding the defaults in the command registry
+      disabledCommands: [], // Commands turned off in this channel
       prefix: '!',
       moderatorOnly: false
     };
   }
   
+  // Validate settings against the default config, returning a list of errors
+  validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return ['Settings must be an object'];
+    }
+    
+    const defaults = this.getDefaultConfig();
+    const errors = [];
+    
+    for (const [key, value] of Object.entries(settings)) {
+      if (!(key in defaults)) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (key === 'minConfidence') {
+        if (value !== null && (typeof value !== 'number' || value < 0 || value > 1)) {
+          errors.push('minConfidence must be a number between 0 and 1, or null');
+        }
+      } else if (key === 'commandRoles') {
+        errors.push(...permissions.validateOverrides(value));
+      } else if (key === 'blockedTerms') {
+        errors.push(...validateBlockedTerms(value));
+      } else if (key === 'disabledCommands') {
+        errors.push(...commandRegistry.validateDisabled(value));
+      } else if (key === 'glossary') {
+        if (!value || typeof value !== 'object' || Array.isArray(value) ||
+            !Object.values(value).every(item => item === null || typeof item === 'string')) {
+          errors.push('glossary must map terms to a translation string or null');
+        }
+      } else if (Array.isArray(defaults[key])) {
+        if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+          errors.push(`${key} must be an array of strings`);
+        } else if (['targetLanguages', 'languageFilter', 'languageBlocklist'].includes(key)) {
+          const invalid = value.filter(code => !isKnownLanguage(code));
+          if (invalid.length > 0) {
+            errors.push(`Invalid language code: ${invalid.join(', ')}`);
+          }
+        }
+      } else if (typeof value !== typeof defaults[key]) {
+        errors.push(`${key} must be a ${typeof defaults[key]}`);
+      } else if (key === 'targetLanguage' && !isKnownLanguage(value)) {
+        errors.push(`Invalid language code: ${value}`);
+      } else if (key === 'languageDisplay' && !DISPLAY_STYLES.includes(value)) {
+        errors.push(`languageDisplay must be one of: ${DISPLAY_STYLES.join(', ')}`);
+      } else if (key === 'duplicateMode' && !DUPLICATE_MODES.includes(value)) {
+        errors.push(`duplicateMode must be one of: ${DUPLICATE_MODES.join(', ')}`);
+      } else if (key === 'responseMode' && !RESPONSE_MODES.includes(value)) {
+        errors.push(`responseMode must be one of: ${RESPONSE_MODES.join(', ')}`);
+      } else if (key === 'prefix' && (!value || /\s/.test(value) || value.length > MAX_PREFIX_LENGTH)) {
+        errors.push(`prefix must be 1-${MAX_PREFIX_LENGTH} characters without spaces`);
+      } else if (key === 'responseTemplate' && !value.includes('{text}')) {
+        errors.push('responseTemplate must include {text}');
+      } else if (key === 'digestInterval' && !(Number.isInteger(value) && value >= 5 && value <= 300)) {
+        errors.push('digestInterval must be a whole number of seconds between 5 and 300');
+      }
+    }
+    
+    return errors;
+  }
+  
+  // Drop settings from a loaded config that fail validation, logging each one,
+  // so a hand-edited file can't slip in values the commands and API would reject
+  dropInvalidSettings(channelName, settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      console.warn(`Config for ${channelName} is not an object, using defaults`);
+      return this.getDefaultConfig();
+    }
+    
+    const defaults = this.getDefaultConfig();
+    const valid = { ...settings };
+    for (const [key, value] of Object.entries(settings)) {
+      const errors = this.validateSettings({ [key]: value });
+      if (errors.length === 0) continue;
+      
+      console.warn(`Ignoring invalid setting ${key} in config for ${channelName}: ${errors.join('; ')}`);
+      if (key in defaults) {
+        valid[key] = defaults[key];
+      } else {
+        delete valid[key];
+      }
+    }
+    return valid;
+  }
+  
+  // Get every language a channel translates into, the main target language first
+  getTargetLanguages(channelConfig) {
+    const languages = [channelConfig.targetLanguage || 'en', ...(channelConfig.targetLanguages || [])];
+    return [...new Set(languages.map(code => code.toLowerCase()))];
+  }
+  
   // Save config for a specific channel
   saveConfig(channelName) {
     const normalizedName = normalizeChannelName(channelName);
-    const configPath = path.join(config.CONFIG_DIR, `${normalizedName}.json`);
+    const configPath = this.getConfigPath(normalizedName);
     
     try {
+      if (!fs.existsSync(config.CHANNEL_CONFIG_DIR)) {
+        fs.mkdirSync(config.CHANNEL_CONFIG_DIR, { recursive: true });
+      }
       fs.writeFileSync(configPath, JSON.stringify(this.configs[normalizedName], null, 2));
       debug(`Saved config for ${normalizedName} to ${configPath}`);
     } catch (error) {
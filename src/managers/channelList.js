@@ -0,0 +1,82 @@
+const fs = require('fs');
+const config = require('../config');
+const { debug, normalizeChannelName } = require('../utils');
+
+// The channels the bot joins. Seeded from TWITCH_CHANNELS on first start;
+// after that the persisted list is authoritative so runtime joins and parts
+// survive restarts.
+class ChannelList {
+  constructor() {
+    this.channels = [];
+  }
+
+  // Load the channel list, or create it from TWITCH_CHANNELS
+  init() {
+    try {
+      if (fs.existsSync(config.CHANNEL_LIST_FILE)) {
+        const data = fs.readFileSync(config.CHANNEL_LIST_FILE, 'utf8');
+        this.channels = JSON.parse(data).map(normalizeChannelName);
+        debug(`Loaded ${this.channels.length} channels from channel list`);
+      } else {
+        this.channels = this._fromEnvironment();
+        this.save();
+        debug(`Created channel list with ${this.channels.length} channels`);
+      }
+    } catch (error) {
+      console.error('Error loading channel list:', error);
+      this.channels = this._fromEnvironment();
+    }
+  }
+
+  // Save the channel list
+  save() {
+    try {
+      if (!fs.existsSync(config.CONFIG_DIR)) {
+        fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+      }
+
+      fs.writeFileSync(config.CHANNEL_LIST_FILE, JSON.stringify(this.channels, null, 2));
+      debug(`Saved channel list with ${this.channels.length} channels`);
+    } catch (error) {
+      console.error('Error saving channel list:', error);
+    }
+  }
+
+  // Add a channel to the list
+  add(channelName) {
+    const normalizedName = normalizeChannelName(channelName);
+
+    if (!this.channels.includes(normalizedName)) {
+      this.channels.push(normalizedName);
+      this.save();
+      return true;
+    }
+
+    return false; // Channel already in the list
+  }
+
+  // Remove a channel from the list
+  remove(channelName) {
+    const normalizedName = normalizeChannelName(channelName);
+    const index = this.channels.indexOf(normalizedName);
+
+    if (index !== -1) {
+      this.channels.splice(index, 1);
+      this.save();
+      return true;
+    }
+
+    return false; // Channel not in the list
+  }
+
+  // Check if the bot is in a channel
+  has(channelName) {
+    return this.channels.includes(normalizeChannelName(channelName));
+  }
+
+  _fromEnvironment() {
+    return [...new Set(config.CHANNELS.map(name => normalizeChannelName(name.trim())).filter(Boolean))];
+  }
+}
+
+module.exports = new ChannelList();
@@ -0,0 +1,45 @@
+const { debug, normalizeChannelName } = require('../utils');
+
+// Command cooldowns per channel. A command's global cooldown is shared by
+// everyone in the channel; its user cooldown applies to each user separately.
+class Cooldowns {
+  constructor() {
+    this.expiries = new Map();
+  }
+
+  _keys(channelName, command, user) {
+    const normalizedName = normalizeChannelName(channelName);
+    return {
+      global: `${normalizedName}:${command}`,
+      user: `${normalizedName}:${command}:${user.toLowerCase()}`
+    };
+  }
+
+  // Get the seconds left before a user can run a command again (0 = ready)
+  remaining(channelName, command, user) {
+    const now = Date.now();
+    const keys = this._keys(channelName, command, user);
+    const expiry = Math.max(this.expiries.get(keys.global) || 0, this.expiries.get(keys.user) || 0);
+    return expiry > now ? Math.ceil((expiry - now) / 1000) : 0;
+  }
+
+  // Start a command's cooldowns after a user runs it
+  start(channelName, command, user, { global = 0, user: perUser = 0 } = {}) {
+    const now = Date.now();
+    const keys = this._keys(channelName, command, user);
+    if (global > 0) this.expiries.set(keys.global, now + global * 1000);
+    if (perUser > 0) this.expiries.set(keys.user, now + perUser * 1000);
+    this.cleanup(now);
+  }
+
+  // Drop expired cooldowns so the map doesn't grow with every user who ever ran a command
+  cleanup(now = Date.now()) {
+    if (this.expiries.size < 1000) return;
+    for (const [key, expiry] of this.expiries) {
+      if (expiry <= now) this.expiries.delete(key);
+    }
+    debug(`Command cooldowns: ${this.expiries.size} active`);
+  }
+}
+
+module.exports = new Cooldowns();
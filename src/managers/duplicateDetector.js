@@ -0,0 +1,100 @@
+const config = require('../config');
+const { debug, normalizeChannelName, normalizeForCache } = require('../utils');
+
+// Maximum recent messages remembered per channel
+const MAX_RECENT = 50;
+
+// Build the set of character trigrams for a normalized string (works for
+// scripts without spaces, unlike word sets)
+const trigrams = (text) => {
+  const compact = text.replace(/\s+/g, ' ');
+  const grams = new Set();
+  if (compact.length < 3) {
+    grams.add(compact);
+    return grams;
+  }
+  for (let i = 0; i <= compact.length - 3; i++) {
+    grams.add(compact.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Jaccard similarity of two sets
+const similarity = (a, b) => {
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union === 0 ? 1 : shared / union;
+};
+
+// Remembers recently translated messages per channel so copy-pasta floods
+// can be recognised and translated only once
+class DuplicateDetector {
+  constructor() {
+    this.channels = {};
+    this.stats = {
+      checks: 0,
+      duplicates: 0
+    };
+  }
+
+  // Find a recent near-duplicate of text in the channel for the same target language
+  find(channelName, text, targetLang) {
+    const recent = this._getRecent(channelName);
+    const normalized = normalizeForCache(text);
+    const grams = trigrams(normalized);
+    this.stats.checks++;
+
+    for (let i = recent.length - 1; i >= 0; i--) {
+      const entry = recent[i];
+      if (entry.targetLang !== targetLang) continue;
+
+      if (entry.normalized === normalized || similarity(grams, entry.grams) >= config.DUPLICATE_THRESHOLD) {
+        this.stats.duplicates++;
+        debug(`Near-duplicate message in ${normalizeChannelName(channelName)}: ${text}`);
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  // Remember a translated message
+  record(channelName, text, sourceLang, targetLang, translatedText) {
+    const recent = this._getRecent(channelName);
+    const normalized = normalizeForCache(text);
+
+    recent.push({
+      normalized,
+      grams: trigrams(normalized),
+      sourceLang,
+      targetLang,
+      translatedText,
+      timestamp: Date.now()
+    });
+
+    if (recent.length > MAX_RECENT) {
+      recent.shift();
+    }
+  }
+
+  // Get the channel's recent messages, dropping those outside the window
+  _getRecent(channelName) {
+    const normalizedName = normalizeChannelName(channelName);
+    const now = Date.now();
+    const recent = (this.channels[normalizedName] || [])
+      .filter(entry => now - entry.timestamp < config.DUPLICATE_WINDOW);
+
+    this.channels[normalizedName] = recent;
+    return recent;
+  }
+
+  // Get duplicate detection statistics
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new DuplicateDetector();
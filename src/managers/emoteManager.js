@@ -0,0 +1,192 @@
+const fs = require('fs');
+const config = require('../config');
+const { debug, normalizeChannelName } = require('../utils');
+const { requestJson } = require('../providers/httpRequest');
+
+// Extract emote names from each provider's API responses
+const extractBttv = (data) => {
+  if (Array.isArray(data)) return data.map(emote => emote.code);
+  return [...(data.channelEmotes || []), ...(data.sharedEmotes || [])].map(emote => emote.code);
+};
+
+const extractFfz = (data) => {
+  const setIds = data.default_sets || Object.keys(data.sets || {});
+  return setIds.flatMap(id => ((data.sets[id] || {}).emoticons || []).map(emote => emote.name));
+};
+
+const extract7tv = (data) => {
+  const set = data.emote_set || data;
+  return (set.emotes || []).map(emote => emote.name);
+};
+
+// Global and per-channel (Twitch user id) endpoints for each provider
+const EMOTE_SOURCES = {
+  bttv: {
+    global: () => 'https://api.betterttv.net/3/cached/emotes/global',
+    channel: (channelId) => `https://api.betterttv.net/3/cached/users/twitch/${channelId}`,
+    extract: extractBttv
+  },
+  ffz: {
+    global: () => 'https://api.frankerfacez.com/v1/set/global',
+    channel: (channelId) => `https://api.frankerfacez.com/v1/room/id/${channelId}`,
+    extract: extractFfz
+  },
+  '7tv': {
+    global: () => 'https://7tv.io/v3/emote-sets/global',
+    channel: (channelId) => `https://7tv.io/v3/users/twitch/${channelId}`,
+    extract: extract7tv
+  }
+};
+
+// How long to wait before asking again after every provider failed
+const RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+
+// Third-party (BTTV/FFZ/7TV) emote names, cached on disk so they are
+// available offline and across restarts
+class EmoteManager {
+  constructor() {
+    this.global = new Set();
+    this.channels = {};
+    this.updatedAt = { global: 0, channels: {} };
+    this.pending = {};
+    this.retryAt = {};
+  }
+
+  // Load cached emotes and refresh global emotes in the background
+  init() {
+    this.load();
+
+    if (config.EMOTE_PROVIDERS.length > 0 && this._isStale(this.updatedAt.global)) {
+      this.refreshGlobal().catch(error => {
+        console.error('Error fetching global emotes:', error.message);
+      });
+    }
+  }
+
+  // Load the emote cache file
+  load() {
+    try {
+      if (fs.existsSync(config.EMOTE_FILE)) {
+        const data = JSON.parse(fs.readFileSync(config.EMOTE_FILE, 'utf8'));
+        this.global = new Set(data.global || []);
+        for (const [channelName, names] of Object.entries(data.channels || {})) {
+          this.channels[normalizeChannelName(channelName)] = new Set(names);
+        }
+        this.updatedAt = {
+          global: (data.updatedAt && data.updatedAt.global) || 0,
+          channels: (data.updatedAt && data.updatedAt.channels) || {}
+        };
+        debug(`Loaded ${this.global.size} global and ${Object.keys(this.channels).length} channel emote lists`);
+      }
+    } catch (error) {
+      console.error('Error loading emote cache:', error);
+    }
+  }
+
+  // Save the emote cache file
+  save() {
+    try {
+      if (!fs.existsSync(config.CONFIG_DIR)) {
+        fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+      }
+
+      const channels = {};
+      for (const [channelName, names] of Object.entries(this.channels)) {
+        channels[channelName] = [...names];
+      }
+
+      fs.writeFileSync(config.EMOTE_FILE, JSON.stringify({
+        global: [...this.global],
+        channels,
+        updatedAt: this.updatedAt
+      }, null, 2));
+      debug('Saved emote cache');
+    } catch (error) {
+      console.error('Error saving emote cache:', error);
+    }
+  }
+
+  // Check if a word is a known third-party emote in the channel
+  isEmote(channelName, word) {
+    if (this.global.has(word)) return true;
+    const channelEmotes = this.channels[normalizeChannelName(channelName)];
+    return !!channelEmotes && channelEmotes.has(word);
+  }
+
+  // Make sure the channel's emotes are loaded, fetching them in the background
+  // if they are missing or stale. channelId is the Twitch user id of the channel.
+  ensureChannel(channelName, channelId) {
+    const normalizedName = normalizeChannelName(channelName);
+    if (!channelId || config.EMOTE_PROVIDERS.length === 0 || this.pending[normalizedName] ||
+        !this._isStale(this.updatedAt.channels[normalizedName]) || Date.now() < (this.retryAt[normalizedName] || 0)) {
+      return;
+    }
+
+    this.pending[normalizedName] = this.refreshChannel(normalizedName, channelId)
+      .catch(error => {
+        console.error(`Error fetching emotes for ${normalizedName}:`, error.message);
+      })
+      .finally(() => {
+        delete this.pending[normalizedName];
+      });
+  }
+
+  // Fetch global emotes from all enabled providers. If they all fail, the
+  // cached list is kept rather than replaced with nothing.
+  async refreshGlobal() {
+    const names = await this._fetchAll(source => source.global());
+    if (!names) {
+      console.warn('Could not fetch global emotes from any provider, keeping the cached list');
+      return;
+    }
+
+    this.global = new Set(names);
+    this.updatedAt.global = Date.now();
+    this.save();
+    debug(`Fetched ${this.global.size} global third-party emotes`);
+  }
+
+  // Fetch a channel's emotes from all enabled providers
+  async refreshChannel(channelName, channelId) {
+    const normalizedName = normalizeChannelName(channelName);
+    const names = await this._fetchAll(source => source.channel(channelId));
+    if (!names) {
+      console.warn(`Could not fetch emotes for ${normalizedName} from any provider, keeping the cached list`);
+      this.retryAt[normalizedName] = Date.now() + RETRY_DELAY;
+      return;
+    }
+
+    this.channels[normalizedName] = new Set(names);
+    this.updatedAt.channels[normalizedName] = Date.now();
+    this.save();
+    debug(`Fetched ${names.length} third-party emotes for ${normalizedName}`);
+  }
+
+  // Query each enabled provider; a provider that fails is skipped, and one that
+  // doesn't know the channel (404) has no emotes for it. Returns null if every
+  // provider failed.
+  async _fetchAll(getUrl) {
+    const results = await Promise.all(config.EMOTE_PROVIDERS.map(async (provider) => {
+      const source = EMOTE_SOURCES[provider];
+      if (!source) return null;
+
+      try {
+        const data = await requestJson(getUrl(source), { method: 'GET', timeout: 10000 });
+        return data ? source.extract(data).filter(Boolean) : [];
+      } catch (error) {
+        if (error.status === 404) return [];
+        debug(`Failed to fetch ${provider} emotes: ${error.message}`);
+        return null;
+      }
+    }));
+
+    const fetched = results.filter(Boolean);
+    return fetched.length > 0 ? [...new Set(fetched.flat())] : null;
+  }
+
+  _isStale(timestamp) {
+    return !timestamp || Date.now() - timestamp > config.EMOTE_REFRESH_INTERVAL;
+  }
+}
+
+module.exports = new EmoteManager();
@@ -0,0 +1,92 @@
+const config = require('../config');
+const { normalizeChannelName } = require('../utils');
+const commandRegistry = require('../handlers/commandRegistry');
+
+// Roles from least to most privileged
+const ROLES = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster', 'owner'];
+
+// Central permission checks. Roles come from the Twitch badges on the message
+// (msg.userInfo); each command's default minimum role is declared in the
+// command registry. Channels can raise or lower it per command, except for
+// bot-owner commands, which affect every channel.
+class Permissions {
+  constructor() {
+    this.roles = ROLES;
+  }
+
+  // Check if a user is the bot owner (BOT_OWNER_ID may be a user ID or a username).
+  // Without BOT_OWNER_ID, broadcasters own the bot in their own channel.
+  isOwner(user, channel, msg) {
+    if (!config.BOT_OWNER_ID) {
+      return user.toLowerCase() === normalizeChannelName(channel);
+    }
+    const ownerId = config.BOT_OWNER_ID.toLowerCase();
+    const userId = msg && msg.userInfo ? msg.userInfo.userId : null;
+    return user.toLowerCase() === ownerId || userId === config.BOT_OWNER_ID;
+  }
+
+  // Get the user's highest role in the channel
+  getRole(user, channel, msg) {
+    if (this.isOwner(user, channel, msg)) return 'owner';
+
+    const info = (msg && msg.userInfo) || {};
+    if (info.isBroadcaster || user.toLowerCase() === normalizeChannelName(channel)) return 'broadcaster';
+    if (info.isMod) return 'moderator';
+    if (info.isVip) return 'vip';
+    if (info.isSubscriber || info.isFounder) return 'subscriber';
+    return 'everyone';
+  }
+
+  // Check if a role is at least the minimum role. An unknown role on either
+  // side never passes, so a bad override locks a command instead of opening it.
+  hasRole(role, minimum) {
+    const rank = ROLES.indexOf(role);
+    const required = ROLES.indexOf(minimum);
+    return rank !== -1 && required !== -1 && rank >= required;
+  }
+
+  // Get the minimum role for a command in a channel
+  getRequiredRole(command, channelConfig = {}) {
+    const entry = commandRegistry.get(command);
+    const defaultRole = entry ? entry.role : 'everyone';
+    const override = (channelConfig.commandRoles || {})[command];
+    let required = override && this.canOverride(command) ? override : defaultRole;
+
+    // moderatorOnly raises every command to at least moderator
+    if (channelConfig.moderatorOnly && !this.hasRole(required, 'moderator')) {
+      required = 'moderator';
+    }
+    return required;
+  }
+
+  // Check if a user may run a command in a channel
+  canUse(command, user, channel, msg, channelConfig) {
+    const role = this.getRole(user, channel, msg);
+    return this.hasRole(role, this.getRequiredRole(command, channelConfig));
+  }
+
+  // Bot-owner commands act across channels, so channels can't change who runs them
+  canOverride(command) {
+    const entry = commandRegistry.get(command);
+    return !!entry && entry.name === command && entry.role !== 'owner';
+  }
+
+  // Validate a channel's command role overrides, returning a list of errors
+  validateOverrides(commandRoles) {
+    if (!commandRoles || typeof commandRoles !== 'object' || Array.isArray(commandRoles)) {
+      return ['commandRoles must map command names to roles'];
+    }
+
+    const errors = [];
+    for (const [command, role] of Object.entries(commandRoles)) {
+      if (!this.canOverride(command)) {
+        errors.push(`The role for ${command} can't be changed`);
+      } else if (!ROLES.includes(role) || role === 'owner') {
+        errors.push(`Invalid role for ${command}: ${role} (use ${ROLES.slice(0, -1).join(', ')})`);
+      }
+    }
+    return errors;
+  }
+}
+
+module.exports = new Permissions();
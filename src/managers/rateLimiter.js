@@ -18,8 +18,16 @@ class RateLimiter {
     };
   }
 
-  // Check if we should translate (rate limiting)
-  shouldTranslate(channelName) {
+  // Check if we should translate (rate limiting). Channels in digest mode pass
+  // { perChannel: false }: their output is already coalesced, so only the
+  // global limit applies.
+  shouldTranslate(channelName, { perChannel = true } = {}) {
+    return this.reserve(channelName, 1, { perChannel }) === 1;
+  }
+
+  // Reserve up to count translations at once (one message fanned out to
+  // several languages), returning how many fit in the remaining budget
+  reserve(channelName, count, { perChannel = true } = {}) {
     const now = Date.now();
     const normalizedName = normalizeChannelName(channelName);
     
@@ -41,10 +49,11 @@ class RateLimiter {
     );
     
     // Check global rate limit
-    if (this.global.timestamps.length >= config.RATE_LIMIT.messagesPerMinute) {
+    const globalRemaining = config.RATE_LIMIT.messagesPerMinute - this.global.timestamps.length;
+    if (globalRemaining < count) {
       this.stats.global.limitedRequests++;
       debug('Global rate limit reached');
-      return false;
+      if (globalRemaining <= 0) return 0;
     }
     
     // Initialize channel rate limiter if not exists
@@ -63,18 +72,24 @@ class RateLimiter {
       );
     
     // Check channel rate limit
-    if (this.channels[normalizedName].timestamps.length >= 
-        config.RATE_LIMIT.translationsPerChannel) {
-      this.stats.channels[normalizedName].limitedRequests++;
-      debug(`Rate limit reached for channel ${normalizedName}`);
-      return false;
+    let granted = Math.min(count, globalRemaining);
+    if (perChannel) {
+      const channelRemaining = config.RATE_LIMIT.translationsPerChannel - 
+        this.channels[normalizedName].timestamps.length;
+      if (channelRemaining < count) {
+        this.stats.channels[normalizedName].limitedRequests++;
+        debug(`Rate limit reached for channel ${normalizedName}`);
+        granted = Math.min(granted, Math.max(channelRemaining, 0));
+      }
     }
     
-    // Add current timestamp to both limiters
-    this.global.timestamps.push(now);
-    this.channels[normalizedName].timestamps.push(now);
+    // Add current timestamps to both limiters
+    for (let i = 0; i < granted; i++) {
+      this.global.timestamps.push(now);
+      this.channels[normalizedName].timestamps.push(now);
+    }
     
-    return true;
+    return granted;
   }
 
   // Get rate limit statistics
@@ -9,12 +9,17 @@ class TokenManager {
     this.accessToken = config.ACCESS_TOKEN;
     this.refreshToken = config.REFRESH_TOKEN;
     this.expiryTimestamp = null;
+    this.obtainmentTimestamp = Date.now();
+    this.userId = null;
+    this.userName = null;
+    this.scopes = [];
+    this.refreshPromise = null;
     this.refreshAttempts = 0;
     this.lastRefreshAttempt = null;
     this.tokenUsageCount = 0;
   }
 
-  // Validate token before use
+  // Validate token before use, recording the user, scopes and real expiry Twitch reports
   async validateToken() {
     return new Promise((resolve) => {
       const options = {
@@ -28,7 +33,27 @@ class TokenManager {
       };
 
       const req = https.request(options, (res) => {
-        resolve(res.statusCode === 200);
+        let data = '';
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            return resolve(false);
+          }
+          try {
+            const info = JSON.parse(data);
+            this.userId = info.user_id || this.userId;
+            this.userName = info.login || this.userName;
+            this.scopes = info.scopes || this.scopes;
+            if (info.expires_in) {
+              this.expiryTimestamp = Date.now() + info.expires_in * 1000;
+            }
+          } catch (error) {
+            debug(`Could not parse token validation response: ${error.message}`);
+          }
+          resolve(true);
+        });
       });
 
       req.on('error', () => resolve(false));
@@ -67,7 +92,7 @@ class TokenManager {
     const isValid = await this.validateToken();
     if (!isValid) {
       debug('Initial token validation failed, attempting refresh');
-      await this.refreshToken();
+      await this.refreshAccessToken();
     }
     
     return !!this.accessToken && !!this.refreshToken;
@@ -124,8 +149,20 @@ class TokenManager {
     return shouldRefresh;
   }
   
+  // Refresh the token. Concurrent callers (the scheduler, the chat client's auth
+  // provider, !refreshtoken) share one in-flight refresh. Named so it isn't
+  // shadowed by the refreshToken property.
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._refreshWithRetry().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
   // Refresh the token with exponential backoff
-  async refreshToken() {
+  async _refreshWithRetry() {
     const maxRetries = 3;
     const baseDelay = 1000; // 1 second
 
@@ -204,6 +241,10 @@ class TokenManager {
               // Calculate expiry time (with 10 minute safety margin)
               const expiresIn = response.expires_in || 14400; // Default to 4 hours if not specified
               this.expiryTimestamp = Date.now() + (expiresIn * 1000);
+              this.obtainmentTimestamp = Date.now();
+              if (response.scope) {
+                this.scopes = response.scope;
+              }
               
               // Save the updated tokens
               this.saveTokens();
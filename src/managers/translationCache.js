@@ -1,60 +1,181 @@
+const fs = require('fs');
 const config = require('../config');
-const { debug } = require('../utils');
+const { debug, normalizeForCache } = require('../utils');
 
+// Rough per-entry overhead (Map slot, entry object, timestamp) in bytes
+const ENTRY_OVERHEAD_BYTES = 64;
+
+// Estimate the memory used by an entry (JS strings are UTF-16)
+const estimateSize = (key, translatedText) => {
+  return (key.length + translatedText.length) * 2 + ENTRY_OVERHEAD_BYTES;
+};
+
+// LRU cache: a Map indexes entries by key and a doubly linked list keeps them
+// in recency order (head = most recently used, tail = least recently used),
+// so get/add/evict are all constant time.
 class TranslationCache {
   constructor() {
-    this.entries = {};
-    this.keys = [];
+    this.entries = new Map();
+    this.head = null;
+    this.tail = null;
+    this.bytes = 0;
     this.stats = {
       hits: 0,
       misses: 0,
       evictions: 0,
       size: 0
     };
+    this.dirty = false;
+    this.lastSnapshot = null;
   }
 
-  // Add a translation to the cache
-  add(sourceText, sourceLang, targetLang, translatedText) {
-    const key = `${sourceLang}|${targetLang}|${sourceText}`;
+  // Load persisted entries from disk, skipping any that have expired
+  load() {
+    if (!config.CACHE_PERSIST || !fs.existsSync(config.CACHE_FILE)) {
+      return;
+    }
     
-    // If this key already exists, update it and move to front
-    if (this.entries[key]) {
-      this.entries[key].translatedText = translatedText;
-      this.entries[key].timestamp = Date.now();
-      this._moveToFront(key);
+    try {
+      const now = Date.now();
+      const lines = fs.readFileSync(config.CACHE_FILE, 'utf8').split('\n');
+      let loaded = 0;
+      let skipped = 0;
+      
+      // Snapshot is written oldest first, so replaying it rebuilds the LRU order
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        
+        try {
+          const { key, translatedText, timestamp, detectedLang = null } = JSON.parse(line);
+          if (!key || typeof translatedText !== 'string' || now - timestamp >= config.CACHE_TTL) {
+            skipped++;
+            continue;
+          }
+          
+          this._setEntry(key, translatedText, timestamp, detectedLang);
+          loaded++;
+        } catch (parseError) {
+          skipped++;
+        }
+      }
+      
+      this.dirty = false;
+      debug(`Loaded ${loaded} cached translations from ${config.CACHE_FILE} (${skipped} expired or invalid)`);
+    } catch (error) {
+      console.error('Error loading translation cache:', error);
+    }
+  }
+  
+  // Write all live entries to disk as JSON lines, oldest first
+  saveSnapshot() {
+    if (!config.CACHE_PERSIST || !this.dirty) {
       return;
     }
     
-    // Add new entry
-    this.entries[key] = {
-      translatedText,
-      timestamp: Date.now()
-    };
+    try {
+      if (!fs.existsSync(config.CONFIG_DIR)) {
+        fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+      }
+      
+      const now = Date.now();
+      const lines = [];
+      for (let entry = this.tail; entry; entry = entry.prev) {
+        const { key } = entry;
+        if (now - entry.timestamp < config.CACHE_TTL) {
+          const { translatedText, timestamp, detectedLang } = entry;
+          lines.push(JSON.stringify(detectedLang
+            ? { key, translatedText, timestamp, detectedLang }
+            : { key, translatedText, timestamp }));
+        }
+      }
+      
+      // Write to a temporary file first so a crash never leaves a partial snapshot
+      const tempFile = `${config.CACHE_FILE}.tmp`;
+      fs.writeFileSync(tempFile, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+      fs.renameSync(tempFile, config.CACHE_FILE);
+      
+      this.dirty = false;
+      this.lastSnapshot = now;
+      debug(`Saved ${lines.length} cached translations to ${config.CACHE_FILE}`);
+    } catch (error) {
+      console.error('Error saving translation cache:', error);
+    }
+  }
+
+  // Add a translation to the cache. Translations requested with sourceLang
+  // 'auto' can store the language the translator detected alongside.
+  add(sourceText, sourceLang, targetLang, translatedText, detectedLang = null) {
+    const key = this._buildKey(sourceText, sourceLang, targetLang);
+    this._setEntry(key, translatedText, Date.now(), detectedLang);
+    this.dirty = true;
+  }
+
+  // Build the cache key from normalized text, so trivial variations share an entry
+  _buildKey(sourceText, sourceLang, targetLang) {
+    return `${sourceLang}|${targetLang}|${normalizeForCache(sourceText)}`;
+  }
+
+  // Insert or update an entry by key, evicting the oldest while over capacity
+  _setEntry(key, translatedText, timestamp, detectedLang = null) {
+    const size = estimateSize(key, translatedText);
     
-    // Add to front of keys list
-    this.keys.unshift(key);
-    this.stats.size++;
+    const existing = this.entries.get(key);
     
-    // If cache exceeds size limit, remove oldest entry
-    if (this.keys.length > config.CACHE_SIZE) {
-      const oldestKey = this.keys.pop();
-      delete this.entries[oldestKey];
+    // Entries larger than the whole byte budget are never cached
+    if (config.CACHE_MAX_BYTES > 0 && size > config.CACHE_MAX_BYTES) {
+      if (existing) this._delete(existing);
+      return;
+    }
+    
+    // If this key already exists, update it and move to front
+    if (existing) {
+      existing.translatedText = translatedText;
+      existing.timestamp = timestamp;
+      existing.detectedLang = detectedLang;
+      this.bytes += size - existing.size;
+      existing.size = size;
+      this._moveToFront(existing);
+    } else {
+      const entry = { key, translatedText, timestamp, detectedLang, size, prev: null, next: null };
+      this.entries.set(key, entry);
+      this._linkFront(entry);
+      this.bytes += size;
+      this.stats.size++;
+    }
+    
+    // Evict least recently used entries until within the entry and byte limits
+    while (this.tail && (this.entries.size > config.CACHE_SIZE ||
+           (config.CACHE_MAX_BYTES > 0 && this.bytes > config.CACHE_MAX_BYTES))) {
+      this._delete(this.tail);
       this.stats.evictions++;
-      this.stats.size--;
     }
   }
   
   // Get a translation from the cache
   get(sourceText, sourceLang, targetLang) {
-    const key = `${sourceLang}|${targetLang}|${sourceText}`;
-    const entry = this.entries[key];
+    const entry = this.lookup(sourceText, sourceLang, targetLang);
+    return entry ? entry.translatedText : null;
+  }
+
+  // Get a cached translation with the source language detected for it
+  // ({ translatedText, detectedLang }), or null
+  lookup(sourceText, sourceLang, targetLang) {
+    const key = this._buildKey(sourceText, sourceLang, targetLang);
+    const entry = this.entries.get(key);
     
-    // Check if entry exists and is not expired
-    if (entry && (Date.now() - entry.timestamp < config.CACHE_TTL)) {
-      this.stats.hits++;
-      this._moveToFront(key);
-      debug(`Cache hit: ${key}`);
-      return entry.translatedText;
+    if (entry) {
+      // Check if entry is not expired
+      if (Date.now() - entry.timestamp < config.CACHE_TTL) {
+        this.stats.hits++;
+        this._moveToFront(entry);
+        debug(`Cache hit: ${key}`);
+        return { translatedText: entry.translatedText, detectedLang: entry.detectedLang };
+      }
+      
+      // Drop expired entries as we find them
+      this._delete(entry);
+      this.stats.evictions++;
+      this.dirty = true;
     }
     
     // Not found or expired
@@ -62,34 +183,63 @@ class TranslationCache {
     return null;
   }
 
-  // Move key to front of LRU list
-  _moveToFront(key) {
-    const index = this.keys.indexOf(key);
-    if (index > 0) {
-      this.keys.splice(index, 1);
-      this.keys.unshift(key);
-    }
+  // Check for an unexpired translation without counting a hit or touching the LRU order
+  has(sourceText, sourceLang, targetLang) {
+    const entry = this.entries.get(this._buildKey(sourceText, sourceLang, targetLang));
+    return Boolean(entry) && Date.now() - entry.timestamp < config.CACHE_TTL;
+  }
+
+  // Move entry to front of LRU list
+  _moveToFront(entry) {
+    if (this.head === entry) return;
+    this._unlink(entry);
+    this._linkFront(entry);
+  }
+  
+  // Insert entry at the front of the LRU list
+  _linkFront(entry) {
+    entry.prev = null;
+    entry.next = this.head;
+    if (this.head) this.head.prev = entry;
+    this.head = entry;
+    if (!this.tail) this.tail = entry;
+  }
+  
+  // Detach entry from the LRU list
+  _unlink(entry) {
+    if (entry.prev) entry.prev.next = entry.next;
+    else this.head = entry.next;
+    if (entry.next) entry.next.prev = entry.prev;
+    else this.tail = entry.prev;
+    entry.prev = null;
+    entry.next = null;
+  }
+  
+  // Remove an entry and release its bytes
+  _delete(entry) {
+    this._unlink(entry);
+    this.entries.delete(entry.key);
+    this.bytes -= entry.size;
+    this.stats.size--;
   }
   
   // Clean expired entries (called periodically)
   cleanExpired() {
     const now = Date.now();
-    const expiredKeys = [];
+    let expiredCount = 0;
     
-    // Find expired keys
-    for (const key of this.keys) {
-      if (now - this.entries[key].timestamp > config.CACHE_TTL) {
-        expiredKeys.push(key);
-        delete this.entries[key];
+    // Deleting the current entry while iterating a Map is safe
+    for (const entry of this.entries.values()) {
+      if (now - entry.timestamp > config.CACHE_TTL) {
+        this._delete(entry);
         this.stats.evictions++;
-        this.stats.size--;
+        expiredCount++;
       }
     }
     
-    // Remove expired keys from the keys list
-    if (expiredKeys.length > 0) {
-      this.keys = this.keys.filter(key => !expiredKeys.includes(key));
-      debug(`Cleaned ${expiredKeys.length} expired cache entries`);
+    if (expiredCount > 0) {
+      this.dirty = true;
+      debug(`Cleaned ${expiredCount} expired cache entries`);
     }
 
     // Log cache statistics periodically
@@ -114,7 +264,11 @@ class TranslationCache {
       hitRate: this.stats.hits + this.stats.misses > 0 
         ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2)
         : 0,
-      currentSize: this.keys.length
+      currentSize: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: config.CACHE_MAX_BYTES,
+      persistent: config.CACHE_PERSIST,
+      lastSnapshot: this.lastSnapshot
     };
   }
 }
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const config = require('../config');
+const { debug } = require('../utils');
+
+// Rolling per-user language profiles, used as a prior when detection on a
+// message is unsure. Each observation decays older ones, so a profile follows
+// the languages a user has written in recently.
+class UserLanguages {
+  constructor() {
+    this.users = {};
+    this.dirty = false;
+  }
+
+  // Load profiles from disk
+  init() {
+    try {
+      if (fs.existsSync(config.USER_LANGUAGE_FILE)) {
+        this.users = JSON.parse(fs.readFileSync(config.USER_LANGUAGE_FILE, 'utf8'));
+        this.prune();
+        debug(`Loaded language profiles for ${Object.keys(this.users).length} users`);
+      }
+    } catch (error) {
+      console.error('Error loading user language profiles:', error);
+      this.users = {};
+    }
+  }
+
+  // Save profiles to disk if anything changed
+  save() {
+    if (!this.dirty) return;
+
+    this.prune();
+    try {
+      if (!fs.existsSync(config.CONFIG_DIR)) {
+        fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+      }
+
+      fs.writeFileSync(config.USER_LANGUAGE_FILE, JSON.stringify(this.users, null, 2));
+      this.dirty = false;
+      debug(`Saved language profiles for ${Object.keys(this.users).length} users`);
+    } catch (error) {
+      console.error('Error saving user language profiles:', error);
+    }
+  }
+
+  // Forget the users seen least recently once there are more than USER_LANGUAGE_LIMIT
+  prune() {
+    const usernames = Object.keys(this.users);
+    const excess = usernames.length - config.USER_LANGUAGE_LIMIT;
+    if (excess <= 0) return;
+
+    const oldest = usernames
+      .sort((a, b) => (this.users[a].updatedAt || 0) - (this.users[b].updatedAt || 0))
+      .slice(0, excess);
+    for (const username of oldest) {
+      delete this.users[username];
+    }
+    this.dirty = true;
+    debug(`Pruned language profiles for ${excess} users`);
+  }
+
+  _getProfile(username) {
+    const normalizedName = username.toLowerCase();
+    if (!this.users[normalizedName]) {
+      this.users[normalizedName] = { declared: null, weights: {}, lastLang: null, updatedAt: null };
+    }
+    return this.users[normalizedName];
+  }
+
+  // Record a confidently detected language for a user
+  observe(username, lang, confidence = 1) {
+    const profile = this._getProfile(username);
+
+    for (const key of Object.keys(profile.weights)) {
+      profile.weights[key] *= config.USER_HISTORY_DECAY;
+      // Drop languages that have faded out
+      if (profile.weights[key] < 0.01) delete profile.weights[key];
+    }
+
+    profile.weights[lang] = (profile.weights[lang] || 0) + confidence;
+    profile.lastLang = lang;
+    profile.updatedAt = Date.now();
+    this.dirty = true;
+  }
+
+  // Set (or clear with null) the language a user has declared via !mylang
+  declare(username, lang) {
+    const profile = this._getProfile(username);
+    profile.declared = lang;
+    profile.updatedAt = Date.now();
+    this.dirty = true;
+  }
+
+  // Get the language a user has declared, if any
+  getDeclared(username) {
+    const profile = this.users[username.toLowerCase()];
+    return profile ? profile.declared : null;
+  }
+
+  // Get the user's most likely language: declared, otherwise the strongest in their history
+  getLanguage(username) {
+    const profile = this.users[username.toLowerCase()];
+    if (!profile) return null;
+    if (profile.declared) return profile.declared;
+
+    const [best] = Object.entries(profile.weights).sort((a, b) => b[1] - a[1]);
+    return best ? best[0] : null;
+  }
+
+  // Get the user's language distribution ({ lang: probability }); a declared language is certain
+  getPrior(username) {
+    const profile = this.users[username.toLowerCase()];
+    if (!profile) return null;
+    if (profile.declared) return { [profile.declared]: 1 };
+
+    const total = Object.values(profile.weights).reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) return null;
+
+    const prior = {};
+    for (const [lang, weight] of Object.entries(profile.weights)) {
+      prior[lang] = weight / total;
+    }
+    return prior;
+  }
+
+  /**
+   * Blends detection results with the user's language prior
+   * @param {string} username - The user who wrote the message
+   * @param {Array<{lang: string, prob: number}>} detection - Detector output
+   * @returns {Array<{lang: string, prob: number}>} - Re-ranked candidates
+   */
+  applyPrior(username, detection) {
+    const prior = this.getPrior(username);
+    if (!prior) return detection;
+
+    const weight = config.USER_PRIOR_WEIGHT;
+    const scores = {};
+    for (const { lang, prob } of detection) {
+      scores[lang] = prob * (1 - weight);
+    }
+    for (const [lang, prob] of Object.entries(prior)) {
+      scores[lang] = (scores[lang] || 0) + prob * weight;
+    }
+
+    return Object.entries(scores)
+      .map(([lang, prob]) => ({ lang, prob }))
+      .sort((a, b) => b.prob - a.prob);
+  }
+}
+
+module.exports = new UserLanguages();
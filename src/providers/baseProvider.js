@@ -0,0 +1,88 @@
+const { debug } = require('../utils');
+
+// Error raised by translation providers, classified by type so callers can
+// decide whether to retry, fall back or give up
+class TranslationError extends Error {
+  constructor(message, type = 'unknown', provider = null, cause = null) {
+    super(message);
+    this.name = 'TranslationError';
+    this.type = type;
+    this.provider = provider;
+    this.cause = cause;
+  }
+}
+
+// Map an HTTP status code to an error type
+const classifyStatus = (status) => {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status === 456) return 'quota';
+  if (status === 400 || status === 404 || status === 413) return 'bad_request';
+  if (status >= 500) return 'unavailable';
+  return 'unknown';
+};
+
+// Map a network error code to an error type
+const classifyNetworkCode = (code) => {
+  if (code === 'ETIMEDOUT' || code === 'ESOCKETTIMEDOUT') return 'timeout';
+  if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE'].includes(code)) {
+    return 'network';
+  }
+  return null;
+};
+
+class TranslationProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.timeout = options.timeout || 5000;
+  }
+
+  // Translate text, enforcing the provider timeout and classifying failures.
+  // Resolves to { text, from } where from is the source language if known.
+  async translate(text, { from = 'auto', to = 'en' } = {}) {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new TranslationError(
+        `Translation timed out after ${this.timeout}ms`, 'timeout', this.name
+      )), this.timeout);
+    });
+
+    try {
+      const result = await Promise.race([this._translate(text, { from, to }), timeoutPromise]);
+      if (!result || typeof result.text !== 'string') {
+        throw new TranslationError('Invalid response from provider', 'invalid_response', this.name);
+      }
+      return result;
+    } catch (error) {
+      const classified = this.classifyError(error);
+      debug(`${this.name} translation failed (${classified.type}): ${classified.message}`);
+      throw classified;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Provider-specific translation, implemented by subclasses
+  async _translate() {
+    throw new TranslationError('Provider does not implement translation', 'unsupported', this.name);
+  }
+
+  // Convert any error into a TranslationError
+  classifyError(error) {
+    if (error instanceof TranslationError) {
+      if (!error.provider) error.provider = this.name;
+      return error;
+    }
+
+    const type = (error.status && classifyStatus(error.status))
+      || classifyNetworkCode(error.code)
+      || 'unknown';
+    return new TranslationError(error.message, type, this.name, error);
+  }
+}
+
+module.exports = {
+  TranslationProvider,
+  TranslationError,
+  classifyStatus
+};
@@ -0,0 +1,108 @@
+const { debug } = require('../utils');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Circuit breaker for a single provider. After failureThreshold consecutive
+// failures the circuit opens and requests are skipped; once resetTimeout has
+// passed a single probe request is allowed through (half-open) to decide
+// whether to close the circuit again.
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.stats = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+      timesOpened: 0,
+      lastError: null
+    };
+  }
+
+  // Check whether a request may be sent to the provider
+  canRequest() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this._transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  // Record a successful request
+  recordSuccess() {
+    this.stats.requests++;
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+
+    if (this.state !== STATES.CLOSED) {
+      this._transition(STATES.CLOSED);
+    }
+  }
+
+  // Record a failed request
+  recordFailure(error) {
+    this.stats.requests++;
+    this.stats.failures++;
+    this.stats.lastError = error ? `${error.type || 'unknown'}: ${error.message}` : null;
+    this.consecutiveFailures++;
+    this.probeInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN ||
+        (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+      this._transition(STATES.OPEN);
+    }
+  }
+
+  // Release a half-open probe slot without counting it as success or failure
+  release() {
+    this.probeInFlight = false;
+  }
+
+  // Get a snapshot of the breaker state
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt,
+      retryAt: this.state === STATES.OPEN ? this.openedAt + this.resetTimeout : null,
+      ...this.stats
+    };
+  }
+
+  _transition(state) {
+    debug(`Circuit breaker for ${this.name}: ${this.state} -> ${state}`);
+    this.state = state;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+      this.stats.timesOpened++;
+    } else if (state === STATES.CLOSED) {
+      this.openedAt = null;
+    }
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,56 @@
+const querystring = require('querystring');
+const { TranslationProvider, TranslationError } = require('./baseProvider');
+const { requestJson } = require('./httpRequest');
+
+// DeepL wants uppercase codes and a regional variant for some targets
+const TARGET_VARIANTS = {
+  en: 'EN-US',
+  pt: 'PT-BR'
+};
+
+// DeepL API (free or pro, depending on the configured URL)
+class DeepLProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('deepl', options);
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || 'https://api-free.deepl.com/v2/translate';
+  }
+
+  async _translate(text, { from, to }) {
+    if (!this.apiKey) {
+      throw new TranslationError('Missing DeepL API key', 'auth', this.name);
+    }
+
+    const target = to.toLowerCase();
+    const params = {
+      text,
+      target_lang: TARGET_VARIANTS[target] || target.split('-')[0].toUpperCase()
+    };
+    if (from && from !== 'auto') {
+      params.source_lang = from.split('-')[0].toUpperCase();
+    }
+
+    const response = await requestJson(this.apiUrl, {
+      headers: {
+        'Authorization': `DeepL-Auth-Key ${this.apiKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: querystring.stringify(params),
+      timeout: this.timeout
+    });
+
+    const translation = response && response.translations && response.translations[0];
+    if (!translation) {
+      throw new TranslationError('Invalid response from DeepL: missing translations', 'invalid_response', this.name);
+    }
+
+    return {
+      text: translation.text,
+      from: translation.detected_source_language
+        ? translation.detected_source_language.toLowerCase()
+        : from
+    };
+  }
+}
+
+module.exports = DeepLProvider;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const { TranslationProvider, TranslationError } = require('./baseProvider');
+
+// Offline provider backed by a word/phrase dictionary. Useful for tests and
+// for running the bot without network access. Dictionary format:
+// { "es": { "en": { "hola": "hello", "buenas noches": "good night" } } }
+class DictionaryProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('dictionary', options);
+    this.dictionary = options.entries || {};
+
+    if (options.file) {
+      this.load(options.file);
+    }
+  }
+
+  // Load dictionary entries from a JSON file
+  load(file) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const [source, targets] of Object.entries(data)) {
+        this.dictionary[source] = this.dictionary[source] || {};
+        for (const [target, entries] of Object.entries(targets)) {
+          this.dictionary[source][target] = {
+            ...this.dictionary[source][target],
+            ...entries
+          };
+        }
+      }
+    } catch (error) {
+      console.error(`Error loading translation dictionary from ${file}:`, error.message);
+    }
+  }
+
+  async _translate(text, { from, to }) {
+    const sources = from && from !== 'auto'
+      ? [from]
+      : Object.keys(this.dictionary).filter(source => this.dictionary[source][to]);
+
+    let best = null;
+    for (const source of sources) {
+      const entries = this.dictionary[source] && this.dictionary[source][to];
+      if (!entries) continue;
+
+      const candidate = this._translateWith(text, entries);
+      if (!best || candidate.hits > best.hits) {
+        best = { ...candidate, from: source };
+      }
+    }
+
+    if (!best) {
+      throw new TranslationError(`No dictionary for ${from || 'auto'}→${to}`, 'unsupported_language', this.name);
+    }
+
+    return { text: best.text, from: best.from };
+  }
+
+  // Translate a whole phrase if known, otherwise word by word
+  _translateWith(text, entries) {
+    const phrase = entries[text.toLowerCase().trim()];
+    if (phrase !== undefined) {
+      return { text: phrase, hits: Number.MAX_SAFE_INTEGER };
+    }
+
+    let hits = 0;
+    const translated = text.replace(/[\p{L}\p{N}']+/gu, (word) => {
+      const replacement = entries[word.toLowerCase()];
+      if (replacement === undefined) return word;
+      hits++;
+      return replacement;
+    });
+
+    return { text: translated, hits };
+  }
+}
+
+module.exports = DictionaryProvider;
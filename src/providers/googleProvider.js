@@ -0,0 +1,36 @@
+const { translate } = require('google-translate-api-x');
+const { TranslationProvider, TranslationError, classifyStatus } = require('./baseProvider');
+
+// Unofficial Google Translate web endpoint (no API key required)
+class GoogleProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('google', options);
+  }
+
+  async _translate(text, { from, to }) {
+    const result = await translate(text, { from, to });
+    return {
+      text: result.text,
+      from: result.from && result.from.language ? result.from.language.iso : from
+    };
+  }
+
+  classifyError(error) {
+    if (error instanceof TranslationError) {
+      return super.classifyError(error);
+    }
+
+    // google-translate-api-x attaches the fetch response to error.cause
+    const response = error.cause && error.cause.response;
+    if (response && response.status) {
+      return new TranslationError(error.message, classifyStatus(response.status), this.name, error);
+    }
+    if (/unsupported/i.test(error.message)) {
+      return new TranslationError(error.message, 'unsupported_language', this.name, error);
+    }
+
+    return super.classifyError(error);
+  }
+}
+
+module.exports = GoogleProvider;
@@ -0,0 +1,64 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+// Send a request and parse the JSON response. Non-2xx responses reject with
+// an error carrying the HTTP status so providers can classify it.
+const requestJson = (url, { method = 'POST', headers = {}, body = null, timeout = 5000 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    const payload = body === null
+      ? null
+      : (typeof body === 'string' ? body : JSON.stringify(body));
+
+    const options = {
+      method,
+      hostname: target.hostname,
+      port: target.port || (target.protocol === 'http:' ? 80 : 443),
+      path: `${target.pathname}${target.search}`,
+      headers: {
+        'Accept': 'application/json',
+        ...(payload !== null && { 'Content-Length': Buffer.byteLength(payload) }),
+        ...headers
+      }
+    };
+
+    const req = transport.request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const error = new Error(`HTTP Error ${res.statusCode}: ${data}`);
+          error.status = res.statusCode;
+          return reject(error);
+        }
+
+        try {
+          resolve(data ? JSON.parse(data) : null);
+        } catch (error) {
+          reject(new Error(`Failed to parse response: ${error.message}`));
+        }
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      const error = new Error('Request timed out');
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+
+    req.on('error', reject);
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+};
+
+module.exports = { requestJson };
@@ -0,0 +1,65 @@
+const config = require('../config');
+const { debug } = require('../utils');
+const { TranslationError } = require('./baseProvider');
+const GoogleProvider = require('./googleProvider');
+const DeepLProvider = require('./deeplProvider');
+const LibreTranslateProvider = require('./libreTranslateProvider');
+const DictionaryProvider = require('./dictionaryProvider');
+const ProviderChain = require('./providerChain');
+
+// Available provider implementations by name
+const PROVIDERS = {
+  google: GoogleProvider,
+  deepl: DeepLProvider,
+  libretranslate: LibreTranslateProvider,
+  dictionary: DictionaryProvider,
+  mock: DictionaryProvider
+};
+
+let activeProvider = null;
+
+// Create a provider by name using its settings from config
+const createProvider = (name, options = {}) => {
+  const providerName = name.toLowerCase();
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(`Unknown translation provider: ${name} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider({
+    ...config.PROVIDERS[providerName],
+    ...options
+  });
+};
+
+// Create a failover chain from an ordered list of provider names
+const createChain = (names, breakerOptions = config.CIRCUIT_BREAKER) => {
+  return new ProviderChain(names.map(name => createProvider(name)), breakerOptions);
+};
+
+// Get the failover chain built from TRANSLATION_PROVIDERS
+const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createChain(config.TRANSLATION_PROVIDERS);
+    debug(`Using translation providers: ${config.TRANSLATION_PROVIDERS.join(' -> ')}`);
+  }
+  return activeProvider;
+};
+
+// Replace the active provider (e.g. with an offline provider in tests)
+const setProvider = (provider) => {
+  activeProvider = typeof provider === 'string' ? createProvider(provider) : provider;
+  return activeProvider;
+};
+
+// Translate text with the active provider
+const translate = (text, options) => getProvider().translate(text, options);
+
+module.exports = {
+  createProvider,
+  createChain,
+  getProvider,
+  setProvider,
+  translate,
+  TranslationError
+};
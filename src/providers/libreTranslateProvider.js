@@ -0,0 +1,40 @@
+const { TranslationProvider, TranslationError } = require('./baseProvider');
+const { requestJson } = require('./httpRequest');
+
+// LibreTranslate-compatible HTTP API (self-hosted or public instance)
+class LibreTranslateProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('libretranslate', options);
+    this.apiUrl = (options.apiUrl || 'http://localhost:5000').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+  }
+
+  async _translate(text, { from, to }) {
+    const body = {
+      q: text,
+      source: from || 'auto',
+      target: to,
+      format: 'text'
+    };
+    if (this.apiKey) {
+      body.api_key = this.apiKey;
+    }
+
+    const response = await requestJson(`${this.apiUrl}/translate`, {
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      timeout: this.timeout
+    });
+
+    if (!response || typeof response.translatedText !== 'string') {
+      throw new TranslationError('Invalid response from LibreTranslate: missing translatedText', 'invalid_response', this.name);
+    }
+
+    return {
+      text: response.translatedText,
+      from: response.detectedLanguage ? response.detectedLanguage.language : from
+    };
+  }
+}
+
+module.exports = LibreTranslateProvider;
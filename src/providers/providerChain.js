@@ -0,0 +1,75 @@
+const { debug } = require('../utils');
+const monitoring = require('../utils/monitoring');
+const { TranslationError } = require('./baseProvider');
+const CircuitBreaker = require('./circuitBreaker');
+
+// Error types caused by the request itself rather than the provider's health;
+// these fall through to the next provider but don't count against the breaker
+const NON_TRIPPING_ERRORS = ['bad_request', 'unsupported_language'];
+
+// Ordered list of providers; each request goes to the first provider whose
+// circuit is not open and falls through to the next one on failure
+class ProviderChain {
+  constructor(providers, breakerOptions = {}) {
+    this.name = 'chain';
+    this.providers = providers.map(provider => ({
+      provider,
+      breaker: new CircuitBreaker(provider.name, breakerOptions)
+    }));
+
+    for (const { provider, breaker } of this.providers) {
+      monitoring.trackProvider(provider.name, breaker.getState());
+    }
+  }
+
+  // Translate text with the first healthy provider
+  async translate(text, options) {
+    let lastError = null;
+
+    for (const { provider, breaker } of this.providers) {
+      if (!breaker.canRequest()) {
+        debug(`Skipping ${provider.name}: circuit open`);
+        monitoring.trackProvider(provider.name, breaker.getState());
+        continue;
+      }
+
+      try {
+        const result = await provider.translate(text, options);
+        breaker.recordSuccess();
+        monitoring.trackProvider(provider.name, breaker.getState());
+        return { ...result, provider: provider.name };
+      } catch (error) {
+        lastError = error;
+        if (NON_TRIPPING_ERRORS.includes(error.type)) {
+          breaker.release();
+        } else {
+          breaker.recordFailure(error);
+        }
+        monitoring.trackProvider(provider.name, breaker.getState());
+        debug(`Provider ${provider.name} failed (${error.type}), trying next provider`);
+      }
+    }
+
+    if (!lastError) {
+      throw new TranslationError('All translation providers are unavailable (circuits open)', 'unavailable', this.name);
+    }
+
+    throw new TranslationError(
+      `All translation providers failed, last error: ${lastError.message}`,
+      lastError.type || 'unknown',
+      lastError.provider || this.name,
+      lastError
+    );
+  }
+
+  // Get breaker state for each provider
+  getStatus() {
+    const status = {};
+    for (const { provider, breaker } of this.providers) {
+      status[provider.name] = breaker.getState();
+    }
+    return status;
+  }
+}
+
+module.exports = ProviderChain;
@@ -0,0 +1,263 @@
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const config = require('../config');
+const { debug, normalizeChannelName } = require('../utils');
+const channelConfigs = require('../managers/channelConfigs');
+const globalIgnoreManager = require('../managers/globalIgnoreManager');
+const translationCache = require('../managers/translationCache');
+const rateLimiter = require('../managers/rateLimiter');
+const channelList = require('../managers/channelList');
+const chatConnection = require('../connection');
+const monitoring = require('../utils/monitoring');
+const { renderMetrics } = require('../utils/prometheus');
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Error with an HTTP status, thrown by route handlers
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Monitoring and admin API. Read-only endpoints are public; endpoints that
+// change state require `Authorization: Bearer <ADMIN_API_TOKEN>`.
+class ApiServer {
+  constructor() {
+    this.server = null;
+    this.routes = [];
+
+    this.route('GET', '/health', () => ({ status: 'ok' }));
+    this.route('GET', '/metrics', () => renderMetrics());
+    this.route('GET', '/api/metrics', () => monitoring.getMetrics());
+    this.route('GET', '/api/ratelimits', () => rateLimiter.getStats());
+    this.route('GET', '/api/cache', () => translationCache.getStats());
+    this.route('GET', '/api/channels', () => channelConfigs.configs);
+    this.route('GET', '/api/channels/:channel', ({ params }) => this.getChannel(params.channel));
+    this.route('PATCH', '/api/channels/:channel', ({ params, body }) => this.updateChannel(params.channel, body), true);
+    this.route('POST', '/api/channels', ({ body }) => this.joinChannel(body), true);
+    this.route('DELETE', '/api/channels/:channel', ({ params }) => this.partChannel(params.channel), true);
+    this.route('GET', '/api/ignore', () => globalIgnoreManager.ignoreList);
+    this.route('POST', '/api/ignore', ({ body }) => this.addIgnore(body), true);
+    this.route('DELETE', '/api/ignore/:username', ({ params }) => this.removeIgnore(params.username), true);
+  }
+
+  // Register a route; path segments starting with ':' are captured as params
+  route(method, path, handler, requiresAuth = false) {
+    this.routes.push({ method, segments: path.split('/').filter(Boolean), handler, requiresAuth });
+  }
+
+  // Start listening on the configured port
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', reject);
+      this.server.listen(config.PORT, () => {
+        console.log(`Monitoring API listening on ${config.HOST_URL || `http://localhost:${config.PORT}`}`);
+        if (!config.ADMIN_API_TOKEN) {
+          console.warn('ADMIN_API_TOKEN is not set, admin API endpoints are disabled');
+        }
+        resolve();
+      });
+    });
+  }
+
+  // Stop the server
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const segments = url.pathname.split('/').filter(Boolean);
+      const match = this.matchRoute(req.method, segments);
+
+      if (!match) {
+        throw new HttpError(404, 'Not found');
+      }
+
+      if (match.route.requiresAuth && !this.isAuthorized(req)) {
+        throw new HttpError(config.ADMIN_API_TOKEN ? 401 : 403,
+          config.ADMIN_API_TOKEN ? 'Unauthorized' : 'Admin API is disabled');
+      }
+
+      const body = ['POST', 'PATCH', 'PUT'].includes(req.method) ? await this.readBody(req) : null;
+      const result = await match.route.handler({ params: match.params, query: url.searchParams, body });
+      if (typeof result === 'string') {
+        this.sendText(res, 200, result);
+      } else {
+        this.sendJson(res, 200, result);
+      }
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error('API error:', error);
+        monitoring.trackError('api');
+      }
+      this.sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+    }
+  }
+
+  // Find the route for a method and path
+  matchRoute(method, segments) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      if (route.segments.length !== segments.length) continue;
+
+      const params = {};
+      const matches = route.segments.every((segment, i) => {
+        if (segment.startsWith(':')) {
+          try {
+            params[segment.slice(1)] = decodeURIComponent(segments[i]);
+          } catch (error) {
+            throw new HttpError(400, `Malformed path segment: ${segments[i]}`);
+          }
+          return true;
+        }
+        return segment === segments[i];
+      });
+
+      if (!matches) continue;
+      pathMatched = true;
+      if (route.method === method) {
+        return { route, params };
+      }
+    }
+
+    if (pathMatched) {
+      throw new HttpError(405, 'Method not allowed');
+    }
+    return null;
+  }
+
+  // Check the bearer token against ADMIN_API_TOKEN
+  isAuthorized(req) {
+    if (!config.ADMIN_API_TOKEN) return false;
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const expected = Buffer.from(config.ADMIN_API_TOKEN);
+    const provided = Buffer.from(token);
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  // Read and parse a JSON request body
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+
+      req.on('data', (chunk) => {
+        data += chunk;
+        if (data.length > MAX_BODY_SIZE) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+
+      req.on('end', () => {
+        if (!data) return resolve({});
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new HttpError(400, 'Invalid JSON body'));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, status, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  // Send plain text (used for the Prometheus exposition format)
+  sendText(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  getChannel(channel) {
+    const channelName = normalizeChannelName(channel);
+    if (!channelConfigs.configs[channelName]) {
+      throw new HttpError(404, `Unknown channel: ${channelName}`);
+    }
+    return channelConfigs.configs[channelName];
+  }
+
+  updateChannel(channel, settings) {
+    const channelName = normalizeChannelName(channel);
+    if (!channelConfigs.configs[channelName]) {
+      throw new HttpError(404, `Unknown channel: ${channelName}`);
+    }
+
+    const errors = channelConfigs.validateSettings(settings);
+    if (errors.length > 0) {
+      throw new HttpError(400, errors.join('; '));
+    }
+
+    debug(`Updating config for ${channelName} via API`);
+    return channelConfigs.updateConfig(channelName, settings);
+  }
+
+  async joinChannel(body) {
+    if (!body || typeof body.channel !== 'string' || !body.channel.trim()) {
+      throw new HttpError(400, 'Expected body: { "channel": "<name>" }');
+    }
+
+    const channelName = normalizeChannelName(body.channel.trim());
+    let joined;
+    try {
+      joined = await chatConnection.join(channelName);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    return { channel: channelName, joined, channels: channelList.channels };
+  }
+
+  partChannel(channel) {
+    const channelName = normalizeChannelName(channel);
+    if (!chatConnection.part(channelName)) {
+      throw new HttpError(404, `Not in channel: ${channelName}`);
+    }
+    return { channel: channelName, parted: true, channels: channelList.channels };
+  }
+
+  addIgnore(body) {
+    if (!body || typeof body.username !== 'string' || !body.username.trim()) {
+      throw new HttpError(400, 'Expected body: { "username": "<name>" }');
+    }
+
+    const username = body.username.trim().toLowerCase();
+    const added = globalIgnoreManager.add(username);
+    return { username, added, ignoreList: globalIgnoreManager.ignoreList };
+  }
+
+  removeIgnore(username) {
+    const normalizedName = username.toLowerCase();
+    const removed = globalIgnoreManager.remove(normalizedName);
+    if (!removed) {
+      throw new HttpError(404, `${normalizedName} is not in the global ignore list`);
+    }
+    return { username: normalizedName, removed, ignoreList: globalIgnoreManager.ignoreList };
+  }
+}
+
+module.exports = new ApiServer();
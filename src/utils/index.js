@@ -1,4 +1,6 @@
 const config = require('../config');
+const { isKnownLanguage, isSameLanguage } = require('./languages');
+const { findBlockedTerm } = require('./moderation');
 
 // Debug helper
 const debug = (message) => {
@@ -34,45 +36,175 @@ const isEmote = (word) => {
   return /^:[a-zA-Z0-9_]+:$/.test(word);
 };
 
-// Process emotes in a message
-const processEmotes = (message) => {
+// Placeholders stand in for protected spans while the text is translated:
+// {E0}, {E1}... for emotes, {G0}... for glossary terms and {T0}... for other
+// tokens. Matching is lenient because translators sometimes add spaces or
+// change the case.
+const PLACEHOLDER = /\{\s*([EGT])\s*(\d+)\s*\}/gi;
+const EXACT_PLACEHOLDER = /(\{[EGT]\d+\})/;
+
+// Apply a replacement to the text outside of existing placeholders
+const replaceOutsidePlaceholders = (text, pattern, replacer) => {
+  return text
+    .split(EXACT_PLACEHOLDER)
+    .map(part => (EXACT_PLACEHOLDER.test(part) ? part : part.replace(pattern, replacer)))
+    .join('');
+};
+
+// Parse Twitch emote offsets ("start-end" code point ranges, keyed by emote id)
+// into sorted, non-overlapping [start, end] spans
+const parseEmoteSpans = (emoteOffsets, length) => {
+  const spans = [];
+  if (!emoteOffsets) return spans;
+  
+  for (const ranges of emoteOffsets.values()) {
+    for (const range of ranges) {
+      const [start, end] = range.split('-').map(Number);
+      if (Number.isInteger(start) && Number.isInteger(end) && start <= end && end < length) {
+        spans.push([start, end]);
+      }
+    }
+  }
+  
+  return spans
+    .sort((a, b) => a[0] - b[0])
+    .filter((span, i, sorted) => i === 0 || span[0] > sorted[i - 1][1]);
+};
+
+// Replace emotes in a message with indexed placeholders ({E0}, {E1}, ...).
+// Twitch emotes come from the message's emote offsets; third-party emotes
+// (BTTV/FFZ/7TV) are whole words accepted by isThirdPartyEmote.
+const processEmotes = (message, { emoteOffsets = null, isThirdPartyEmote = null } = {}) => {
   if (!message) return { processed: '', hasEmotes: false, emotes: [] };
   
-  const words = message.split(/\s+/);
   const emotes = [];
-  let hasEmotes = false;
-  
-  // Process each word to identify emotes
-  const processedWords = words.map(word => {
-    if (isEmote(word)) {
-      hasEmotes = true;
-      emotes.push(word);
-      return '{EMOTE}'; // Replace with placeholder
-    }
-    return word;
-  });
+  const toPlaceholder = (emote) => {
+    emotes.push(emote);
+    return `{E${emotes.length - 1}}`;
+  };
+  
+  // Twitch offsets count code points, not UTF-16 units
+  const chars = Array.from(message);
+  let text = '';
+  let position = 0;
+  for (const [start, end] of parseEmoteSpans(emoteOffsets, chars.length)) {
+    text += chars.slice(position, start).join('');
+    text += toPlaceholder(chars.slice(start, end + 1).join(''));
+    position = end + 1;
+  }
+  text += chars.slice(position).join('');
+  
+  // Process each remaining word to identify emotes
+  const processed = text
+    .split(/(\s+)/)
+    .map(word => {
+      if (isEmote(word) || (isThirdPartyEmote && isThirdPartyEmote(word))) {
+        return toPlaceholder(word);
+      }
+      return word;
+    })
+    .join('');
   
   return {
-    processed: processedWords.join(' '),
-    hasEmotes,
+    processed,
+    hasEmotes: emotes.length > 0,
     emotes
   };
 };
 
-// Check for inappropriate content
-const isInappropriateMessage = (message) => {
-  if (!message) return true;
+// Remove all placeholders, leaving only the translatable text
+const stripPlaceholders = (text) => {
+  return text.replace(PLACEHOLDER, '');
+};
+
+// Put protected values back in place of their placeholders (matched by index,
+// so reordering by the translator is fine). Values whose placeholder the
+// translator dropped are appended so they aren't lost.
+const restorePlaceholders = (text, marker, values) => {
+  const restored = new Set();
+  let result = text.replace(PLACEHOLDER, (match, kind, index) => {
+    const value = values[Number(index)];
+    if (kind.toUpperCase() !== marker || value === undefined) return match;
+    restored.add(Number(index));
+    return value;
+  });
   
-  // Very basic filter for obviously inappropriate content
-  const inappropriatePatterns = [
-    /\bn[i1l]gg[e3]r/i,  // racial slur
-    /\bf[a@]gg[o0]t/i,   // homophobic slur
-    /\bc[u\*]nt/i,       // misogynistic slur
-    /\bk[i1]k[e3]/i,     // antisemitic slur
-    /\br[e3]t[a@]rd/i,   // ableist slur
-  ];
+  const missing = values.filter((value, index) => !restored.has(index));
+  if (missing.length > 0) {
+    result = `${result} ${missing.join(' ')}`;
+  }
   
-  return inappropriatePatterns.some(pattern => pattern.test(message));
+  return result;
+};
+
+// Put emotes back in place of their placeholders
+const restoreEmotes = (text, emotes) => restorePlaceholders(text, 'E', emotes);
+
+// Patterns for spans that must reach chat verbatim, in matching order
+const TOKEN_PATTERNS = {
+  // Trailing sentence punctuation is left out of links
+  url: /\b(?:https?:\/\/|www\.)[^\s]*[^\s.,!?;:)'"]/gi,
+  domain: /\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|tv|gg|io|me|co|app|dev|ly|be|to|xyz)\b(?:\/[^\s]*[^\s.,!?;:)'"])?/gi,
+  mention: /@\w+/g,
+  hashtag: /#[\p{L}\p{N}_]+/gu,
+  code: /`[^`]+`|(?<!\S)![a-z]\w*|\b\w+(?:(?:_|::|->)\w+)+\b/gi,
+  number: /(?<![\p{L}\p{N}{])\d+(?:[.,:]\d+)*(?:%|[km]\b)?/giu
+};
+
+// Replace URLs, @mentions, hashtags, code-like tokens and numbers with
+// placeholders ({T0}, {T1}, ...) so the translator can't mangle them
+const protectTokens = (text, types = config.PROTECTED_TOKENS) => {
+  if (!text) return { processed: '', tokens: [] };
+  
+  const tokens = [];
+  let processed = text;
+  
+  for (const [type, pattern] of Object.entries(TOKEN_PATTERNS)) {
+    if (!types.includes(type)) continue;
+    
+    processed = replaceOutsidePlaceholders(processed, pattern, (match) => {
+      tokens.push(match);
+      return `{T${tokens.length - 1}}`;
+    });
+  }
+  
+  return { processed, tokens };
+};
+
+// Put protected tokens back in place of their placeholders
+const restoreTokens = (text, tokens) => restorePlaceholders(text, 'T', tokens);
+
+// Escape a string for use inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace glossary terms with placeholders ({G0}, {G1}, ...). The glossary maps
+// terms to a fixed translation, or to null to keep the term as written.
+// Longer terms are matched first so phrases win over their words.
+const applyGlossary = (text, glossary) => {
+  const replacements = [];
+  const terms = Object.keys(glossary || {}).sort((a, b) => b.length - a.length);
+  if (!text || terms.length === 0) return { processed: text || '', replacements };
+  
+  let processed = text;
+  for (const term of terms) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`, 'giu');
+    processed = replaceOutsidePlaceholders(processed, pattern, (match) => {
+      replacements.push(glossary[term] === null ? match : glossary[term]);
+      return `{G${replacements.length - 1}}`;
+    });
+  }
+  
+  return { processed, replacements };
+};
+
+// Put glossary translations back in place of their placeholders
+const restoreGlossary = (text, replacements) => restorePlaceholders(text, 'G', replacements);
+
+// Check for inappropriate content: the default blocked terms plus any the
+// channel adds (see moderation.js for the term syntax and normalization)
+const isInappropriateMessage = (message, blockedTerms = []) => {
+  if (!message) return true;
+  return findBlockedTerm(message, blockedTerms) !== null;
 };
 
 // Check if message is too long
@@ -80,12 +212,97 @@ const isMessageTooLong = (message) => {
   return message && message.length > config.MAX_MESSAGE_LENGTH;
 };
 
+// Text normalization steps used to build cache keys, applied in this order
+const NORMALIZATION_STEPS = {
+  // Case folding (NFKC also folds full-width and compatibility characters)
+  casefold: (text) => text.normalize('NFKC').toLowerCase(),
+  // Collapse runs of 3+ identical letters ("holaaaa" -> "hola"); digits are
+  // left alone so "1000" and "10" stay different
+  repeats: (text) => text.replace(/(\p{L})\1{2,}/gu, '$1'),
+  // Strip punctuation, keeping placeholders like {E0} intact. Emoji and other
+  // symbols carry meaning ("I like 🍔" vs "I like 🍕"), so they stay.
+  punctuation: (text) => text.replace(/\{[A-Za-z_0-9]+\}|\p{P}+/gu, (match) => (match.startsWith('{') ? match : ' ')),
+  // Collapse and trim whitespace
+  whitespace: (text) => text.replace(/\s+/g, ' ').trim()
+};
+
+// Normalize text for cache lookups using the configured steps. Pass text whose
+// links, mentions and numbers are already protected (see protectTokens), so
+// they can't be folded together.
+const normalizeForCache = (text, steps = config.CACHE_NORMALIZATION) => {
+  if (!text) return '';
+  const normalized = Object.keys(NORMALIZATION_STEPS)
+    .filter(step => steps.includes(step))
+    .reduce((result, step) => NORMALIZATION_STEPS[step](result), text);
+  
+  // Messages made only of punctuation/symbols keep their original text as the key
+  return normalized || text;
+};
+
+// Fill {placeholder} slots in a response template; unknown placeholders are left as-is
+const formatTemplate = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+  ));
+};
+
+// Split text into pieces no longer than maxLength, preferring word boundaries
+const splitText = (text, maxLength) => {
+  const pieces = [];
+  let remaining = text.trim();
+  
+  while (remaining.length > maxLength) {
+    let cut = remaining.lastIndexOf(' ', maxLength);
+    if (cut <= 0) cut = maxLength;
+    pieces.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+  
+  if (remaining) pieces.push(remaining);
+  return pieces;
+};
+
+// Join parts into as few messages as possible, each within maxLength
+const joinIntoMessages = (parts, maxLength, separator = ' | ') => {
+  const messages = [];
+  let current = '';
+  
+  for (const part of parts) {
+    for (const piece of splitText(part, maxLength)) {
+      if (!current) {
+        current = piece;
+      } else if (current.length + separator.length + piece.length <= maxLength) {
+        current += separator + piece;
+      } else {
+        messages.push(current);
+        current = piece;
+      }
+    }
+  }
+  
+  if (current) messages.push(current);
+  return messages;
+};
+
 module.exports = {
   debug,
   normalizeChannelName,
   sanitizeText,
   isEmote,
   processEmotes,
+  stripPlaceholders,
+  restorePlaceholders,
+  restoreEmotes,
+  protectTokens,
+  restoreTokens,
+  applyGlossary,
+  restoreGlossary,
   isInappropriateMessage,
-  isMessageTooLong
+  isMessageTooLong,
+  isKnownLanguage,
+  isSameLanguage,
+  normalizeForCache,
+  formatTemplate,
+  splitText,
+  joinIntoMessages
 }; 
\ No newline at end of file
@@ -0,0 +1,214 @@
+// Language registry: maps the codes used by detectors, providers and users
+// (ISO 639-1, ISO 639-3, BCP-47 tags and legacy aliases) and language names
+// onto one canonical lowercase code, and back to display names.
+
+// [code, ISO 639-3, English name, native name, aliases]
+const LANGUAGE_DATA = [
+  ['af', 'afr', 'Afrikaans', 'Afrikaans'],
+  ['am', 'amh', 'Amharic', 'አማርኛ'],
+  ['ar', 'ara', 'Arabic', 'العربية'],
+  ['az', 'aze', 'Azerbaijani', 'Azərbaycanca'],
+  ['be', 'bel', 'Belarusian', 'Беларуская'],
+  ['bg', 'bul', 'Bulgarian', 'Български'],
+  ['bn', 'ben', 'Bengali', 'বাংলা', ['bangla']],
+  ['bs', 'bos', 'Bosnian', 'Bosanski'],
+  ['ca', 'cat', 'Catalan', 'Català'],
+  ['cs', 'ces', 'Czech', 'Čeština', ['cze']],
+  ['cy', 'cym', 'Welsh', 'Cymraeg', ['wel']],
+  ['da', 'dan', 'Danish', 'Dansk'],
+  ['de', 'deu', 'German', 'Deutsch', ['ger']],
+  ['el', 'ell', 'Greek', 'Ελληνικά', ['gre']],
+  ['en', 'eng', 'English', 'English'],
+  ['eo', 'epo', 'Esperanto', 'Esperanto'],
+  ['es', 'spa', 'Spanish', 'Español', ['castellano']],
+  ['et', 'est', 'Estonian', 'Eesti'],
+  ['eu', 'eus', 'Basque', 'Euskara', ['baq']],
+  ['fa', 'fas', 'Persian', 'فارسی', ['per', 'farsi']],
+  ['fi', 'fin', 'Finnish', 'Suomi'],
+  ['fr', 'fra', 'French', 'Français', ['fre']],
+  ['ga', 'gle', 'Irish', 'Gaeilge'],
+  ['gl', 'glg', 'Galician', 'Galego'],
+  ['gu', 'guj', 'Gujarati', 'ગુજરાતી'],
+  ['he', 'heb', 'Hebrew', 'עברית', ['iw']],
+  ['hi', 'hin', 'Hindi', 'हिन्दी'],
+  ['hr', 'hrv', 'Croatian', 'Hrvatski'],
+  ['ht', 'hat', 'Haitian Creole', 'Kreyòl ayisyen'],
+  ['hu', 'hun', 'Hungarian', 'Magyar'],
+  ['hy', 'hye', 'Armenian', 'Հայերեն', ['arm']],
+  ['id', 'ind', 'Indonesian', 'Bahasa Indonesia', ['in']],
+  ['is', 'isl', 'Icelandic', 'Íslenska', ['ice']],
+  ['it', 'ita', 'Italian', 'Italiano'],
+  ['ja', 'jpn', 'Japanese', '日本語'],
+  ['jv', 'jav', 'Javanese', 'Basa Jawa', ['jw']],
+  ['ka', 'kat', 'Georgian', 'ქართული', ['geo']],
+  ['kk', 'kaz', 'Kazakh', 'Қазақ тілі'],
+  ['km', 'khm', 'Khmer', 'ខ្មែរ'],
+  ['kn', 'kan', 'Kannada', 'ಕನ್ನಡ'],
+  ['ko', 'kor', 'Korean', '한국어'],
+  ['ku', 'kur', 'Kurdish', 'Kurdî'],
+  ['ky', 'kir', 'Kyrgyz', 'Кыргызча'],
+  ['la', 'lat', 'Latin', 'Latina'],
+  ['lb', 'ltz', 'Luxembourgish', 'Lëtzebuergesch'],
+  ['lo', 'lao', 'Lao', 'ລາວ'],
+  ['lt', 'lit', 'Lithuanian', 'Lietuvių'],
+  ['lv', 'lav', 'Latvian', 'Latviešu'],
+  ['mk', 'mkd', 'Macedonian', 'Македонски', ['mac']],
+  ['ml', 'mal', 'Malayalam', 'മലയാളം'],
+  ['mn', 'mon', 'Mongolian', 'Монгол'],
+  ['mr', 'mar', 'Marathi', 'मराठी'],
+  ['ms', 'msa', 'Malay', 'Bahasa Melayu', ['may']],
+  ['mt', 'mlt', 'Maltese', 'Malti'],
+  ['my', 'mya', 'Burmese', 'မြန်မာ', ['bur']],
+  ['ne', 'nep', 'Nepali', 'नेपाली'],
+  ['nl', 'nld', 'Dutch', 'Nederlands', ['dut', 'flemish']],
+  ['no', 'nor', 'Norwegian', 'Norsk', ['nb', 'nob', 'bokmål']],
+  ['pa', 'pan', 'Punjabi', 'ਪੰਜਾਬੀ'],
+  ['pl', 'pol', 'Polish', 'Polski'],
+  ['ps', 'pus', 'Pashto', 'پښتو'],
+  ['pt', 'por', 'Portuguese', 'Português'],
+  ['ro', 'ron', 'Romanian', 'Română', ['rum', 'mo']],
+  ['ru', 'rus', 'Russian', 'Русский'],
+  ['si', 'sin', 'Sinhala', 'සිංහල'],
+  ['sk', 'slk', 'Slovak', 'Slovenčina', ['slo']],
+  ['sl', 'slv', 'Slovenian', 'Slovenščina'],
+  ['so', 'som', 'Somali', 'Soomaali'],
+  ['sq', 'sqi', 'Albanian', 'Shqip', ['alb']],
+  ['sr', 'srp', 'Serbian', 'Српски'],
+  ['sv', 'swe', 'Swedish', 'Svenska'],
+  ['sw', 'swa', 'Swahili', 'Kiswahili'],
+  ['ta', 'tam', 'Tamil', 'தமிழ்'],
+  ['te', 'tel', 'Telugu', 'తెలుగు'],
+  ['tg', 'tgk', 'Tajik', 'Тоҷикӣ'],
+  ['th', 'tha', 'Thai', 'ไทย'],
+  ['tl', 'tgl', 'Filipino', 'Filipino', ['fil', 'tagalog']],
+  ['tr', 'tur', 'Turkish', 'Türkçe'],
+  ['uk', 'ukr', 'Ukrainian', 'Українська'],
+  ['ur', 'urd', 'Urdu', 'اردو'],
+  ['uz', 'uzb', 'Uzbek', 'Oʻzbekcha'],
+  ['vi', 'vie', 'Vietnamese', 'Tiếng Việt'],
+  ['xh', 'xho', 'Xhosa', 'isiXhosa'],
+  ['yi', 'yid', 'Yiddish', 'ייִדיש', ['ji']],
+  ['yo', 'yor', 'Yoruba', 'Yorùbá'],
+  ['zh', 'zho', 'Chinese', '中文', ['chi', 'cmn']],
+  ['zu', 'zul', 'Zulu', 'isiZulu']
+];
+
+// Regional variants the detectors and providers distinguish
+const VARIANT_DATA = [
+  ['zh-cn', 'Chinese (Simplified)', '简体中文', ['zh-hans', 'zh-sg']],
+  ['zh-tw', 'Chinese (Traditional)', '繁體中文', ['zh-hant', 'zh-hk', 'zh-mo']],
+  ['pt-br', 'Portuguese (Brazil)', 'Português (Brasil)', []],
+  ['pt-pt', 'Portuguese (Portugal)', 'Português (Portugal)', []]
+];
+
+// Display styles for language codes
+const DISPLAY_STYLES = ['code', 'name', 'native'];
+
+// Fold case and accents so "Español", "espanol" and "ESPAÑOL" match
+const fold = (text) => text
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .trim();
+
+const languages = new Map();
+const codeAliases = new Map();
+const nameAliases = new Map();
+
+for (const [code, iso3, name, nativeName, aliases = []] of LANGUAGE_DATA) {
+  languages.set(code, { code, iso3, name, nativeName });
+  codeAliases.set(code, code);
+  codeAliases.set(iso3, code);
+  for (const alias of aliases) {
+    // Short aliases are codes, longer ones are alternative names
+    if (alias.length <= 3) {
+      codeAliases.set(alias, code);
+    } else {
+      nameAliases.set(fold(alias), code);
+    }
+  }
+  nameAliases.set(fold(name), code);
+  nameAliases.set(fold(nativeName), code);
+}
+
+for (const [code, name, nativeName, aliases] of VARIANT_DATA) {
+  const base = languages.get(code.split('-')[0]);
+  languages.set(code, { code, iso3: base.iso3, name, nativeName });
+  codeAliases.set(code, code);
+  for (const alias of aliases) codeAliases.set(alias, code);
+  nameAliases.set(fold(name), code);
+  nameAliases.set(fold(nativeName), code);
+}
+
+// Get the canonical code for a language code or alias (zh-CN, zh_Hans, iw, spa),
+// or null if it isn't a language we know. Unknown regions of a known language
+// are kept (es-MX becomes es-mx).
+const normalizeLanguageCode = (code) => {
+  if (typeof code !== 'string') return null;
+  const tag = code.trim().toLowerCase().replace(/_/g, '-');
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(tag)) return null;
+
+  if (codeAliases.has(tag)) return codeAliases.get(tag);
+
+  // Drop script and region subtags one at a time (zh-hant-tw → zh-hant → zh-tw)
+  const [primary, ...subtags] = tag.split('-');
+  const base = codeAliases.get(primary);
+  if (!base) return null;
+  for (const subtag of subtags) {
+    const variant = codeAliases.get(`${primary}-${subtag}`);
+    if (variant) return variant;
+  }
+
+  // Keep a plain region (es-mx) on a known base language
+  const region = subtags.find(subtag => /^([a-z]{2}|\d{3})$/.test(subtag));
+  return region && !base.includes('-') ? `${base}-${region}` : base;
+};
+
+// Resolve user input, which may be a code or an English or native name
+// ("es", "spanish", "Español"), to a canonical code, or null
+const resolveLanguage = (input) => {
+  if (typeof input !== 'string' || !input.trim()) return null;
+  return normalizeLanguageCode(input) || nameAliases.get(fold(input)) || null;
+};
+
+// Check if a code refers to a language we know
+const isKnownLanguage = (code) => normalizeLanguageCode(code) !== null;
+
+// Get the English (or native) name of a language code; unknown codes are returned as-is
+const getLanguageName = (code, { native = false } = {}) => {
+  const canonical = normalizeLanguageCode(code);
+  if (!canonical) return code;
+
+  const entry = languages.get(canonical);
+  if (entry) return native ? entry.nativeName : entry.name;
+
+  // Known base language with a region we don't list, e.g. es-mx
+  const [primary, region] = canonical.split('-');
+  const base = languages.get(primary);
+  return `${native ? base.nativeName : base.name} (${region.toUpperCase()})`;
+};
+
+// Format a language code for display: 'code' (es), 'name' (Spanish) or 'native' (Español)
+const formatLanguage = (code, style = 'code') => {
+  if (style === 'name') return getLanguageName(code);
+  if (style === 'native') return getLanguageName(code, { native: true });
+  return normalizeLanguageCode(code) || code;
+};
+
+// Compare two language codes; a bare code matches any of its regional variants (zh matches zh-cn)
+const isSameLanguage = (a, b) => {
+  if (!a || !b) return false;
+  const [langA, regionA] = (normalizeLanguageCode(a) || a.toLowerCase()).split('-');
+  const [langB, regionB] = (normalizeLanguageCode(b) || b.toLowerCase()).split('-');
+  return langA === langB && (!regionA || !regionB || regionA === regionB);
+};
+
+module.exports = {
+  DISPLAY_STYLES,
+  normalizeLanguageCode,
+  resolveLanguage,
+  isKnownLanguage,
+  getLanguageName,
+  formatLanguage,
+  isSameLanguage
+};
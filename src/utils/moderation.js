@@ -0,0 +1,200 @@
+// Moderation filter: matches chat text against blocked terms after undoing
+// common obfuscation (look-alike letters from other scripts, accents,
+// full-width and styled letters, zero-width characters, leetspeak and
+// stretched letters).
+//
+// Terms come in three forms:
+//   word or phrase  matched as whole words ("darn" doesn't match "darned")
+//   wild*card       * stands for any letters within a word ("darn*" matches "darned");
+//                   at most two * may come before letters
+//   /regex/         a regular expression, matched case-insensitively against the normalized text;
+//                   backreferences and repeated groups that themselves repeat or
+//                   branch, e.g. (a+)+ or (a|aa)*, are rejected because they can
+//                   take exponential time on a short message
+
+// Terms every channel blocks, in the same syntax as channel terms
+const DEFAULT_BLOCKED_TERMS = ['nigger*', 'faggot*', 'cunt*', 'kike*', 'retard*'];
+
+// Longest regex a channel may add, to keep matching cheap
+const MAX_REGEX_LENGTH = 200;
+
+// Most wildcards a term may have before letters (d*rn, *darn); each one
+// multiplies the ways a long word can be tried against the term
+const MAX_INNER_WILDCARDS = 2;
+
+// Letters from other scripts that look like Latin letters
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ј': 'j', 'ԁ': 'd',
+  'ԛ': 'q', 'ԝ': 'w', 'ɑ': 'a', 'ɡ': 'g', 'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w'
+};
+const CONFUSABLE_PATTERN = new RegExp(`[${Object.keys(CONFUSABLES).join('')}]`, 'gu');
+
+// Characters commonly written in place of a letter
+const LEETSPEAK = {
+  a: '4@', b: '8', e: '3€', g: '96', i: '1!|l', l: '1|', o: '0', s: '5$', t: '7+', u: '*v', z: '2'
+};
+
+// Characters that may be slipped between the letters of a word (n.a.m.e)
+const SEPARATORS = '[._~-]*';
+
+// Fold text to plain lowercase Latin letters where possible
+const normalizeForModeration = (text) => {
+  if (!text) return '';
+  return text
+    .normalize('NFKC') // full-width and styled letters (ｎ, 𝐧, ⓝ)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '') // accents and other combining marks
+    .replace(/[\u00AD\u200B-\u200D\u2060\uFEFF]/g, '') // soft hyphens and zero-width characters
+    .replace(CONFUSABLE_PATTERN, (char) => CONFUSABLES[char]);
+};
+
+// Split a plain or wildcard term into parts: spaces, wildcards and runs of
+// letters, where each letter stands for itself or its leetspeak forms.
+// Neighbouring letters that share a form ("ee", or "il" since both can be
+// written as 1) are merged into one run: two overlapping repeated classes in
+// a row backtrack polynomially on a long run of that letter.
+const termParts = (chars) => {
+  const parts = [];
+  for (const char of chars) {
+    const previous = parts[parts.length - 1];
+    if (/\s/.test(char) || char === '*') {
+      if (!previous || previous.type !== char) parts.push({ type: char });
+      continue;
+    }
+
+    const forms = new Set([char, ...Array.from(LEETSPEAK[char] || '')]);
+    if (previous && previous.type === 'letters' && [...forms].some(form => previous.forms.has(form))) {
+      forms.forEach(form => previous.forms.add(form));
+    } else {
+      parts.push({ type: 'letters', forms });
+    }
+  }
+  return parts;
+};
+
+const formsClass = (forms) => [...forms].map(form => form.replace(/[\]\\^-]/g, '\\$&')).join('');
+
+// Build the pattern for one part of a term. Neighbouring parts don't match the
+// same characters, except a wildcard and the letters after it, so backtracking
+// stays bounded: a run of letters is repeated (stretched letters), except next
+// to a wildcard, which takes the repeats itself along with any letters; a
+// space matches anything but the forms of the letters around it.
+const partPattern = (part, before = {}, after = {}) => {
+  const neighbourForms = new Set([before, after]
+    .filter(neighbour => neighbour.type === 'letters')
+    .flatMap(neighbour => [...neighbour.forms]));
+  if (part.type === '*') return `[\\p{L}\\p{N}${formsClass(neighbourForms)}]*`;
+  if (part.type !== 'letters') return `[^\\p{L}\\p{N}${formsClass(neighbourForms)}]+`;
+  const nextToWildcard = before.type === '*' || after.type === '*';
+  return `[${formsClass(part.forms)}]${nextToWildcard ? '' : '+'}`;
+};
+
+// Check a regex for constructs that can backtrack catastrophically:
+// backreferences, and groups containing a quantifier or alternation that are
+// themselves repeated without bound
+const isSafeRegex = (source) => {
+  if (/\\[1-9]|\\k</.test(source)) return false;
+
+  // Each open group tracks whether it contains a quantifier or alternation
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      // Skip the ? of non-capturing groups and lookarounds: (?:, (?=, (?<!, (?<name>
+      const modifier = /^\?(?:<[=!]|<[^>]*>|[:=!])/.exec(source.slice(i + 1));
+      if (modifier) i += modifier[0].length;
+      groups.push({ risky: false });
+    } else if (char === ')') {
+      const group = groups.pop() || { risky: false };
+      const repeated = /^(?:[*+]|\{\d+,\d*\})/.exec(source.slice(i + 1));
+      if (group.risky && repeated) return false;
+      // A risky group makes its enclosing group risky too
+      if (group.risky && groups.length > 0) groups[groups.length - 1].risky = true;
+    } else if ((char === '*' || char === '+' || char === '?' || char === '{' || char === '|') && groups.length > 0) {
+      groups[groups.length - 1].risky = true;
+    }
+  }
+  return true;
+};
+
+const compiled = new Map();
+
+// Compile a term to a regular expression, or null if it isn't valid
+const compileTerm = (term) => {
+  if (compiled.has(term)) return compiled.get(term);
+
+  let pattern = null;
+  const regex = typeof term === 'string' ? term.match(/^\/(.+)\/$/s) : null;
+  if (regex) {
+    try {
+      pattern = regex[1].length <= MAX_REGEX_LENGTH && isSafeRegex(regex[1])
+        ? new RegExp(regex[1], 'iu')
+        : null;
+    } catch (error) {
+      pattern = null;
+    }
+  } else if (typeof term === 'string' && normalizeForModeration(term).replace(/[\s*]/g, '') &&
+      (normalizeForModeration(term).match(/\*+(?=[^\s*])/g) || []).length <= MAX_INNER_WILDCARDS) {
+    const chars = Array.from(normalizeForModeration(term).trim().replace(/\s+/g, ' '));
+    // Separators may sit between letters, but not next to a space, which already matches them
+    const body = termParts(chars).reduce((pattern, part, i, parts) => {
+      const joiner = i > 0 && part.type !== ' ' && parts[i - 1].type !== ' ' ? SEPARATORS : '';
+      return pattern + joiner + partPattern(part, parts[i - 1], parts[i + 1]);
+    }, '');
+    pattern = new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+  }
+
+  compiled.set(term, pattern);
+  return pattern;
+};
+
+// Validate a list of blocked terms, returning a list of errors
+const validateBlockedTerms = (terms) => {
+  if (!Array.isArray(terms) || !terms.every(term => typeof term === 'string')) {
+    return ['blockedTerms must be an array of strings'];
+  }
+
+  return terms
+    .filter(term => !compileTerm(term))
+    .map(term => (term.startsWith('/')
+      ? `Invalid regex term: ${term} (must be a valid regular expression of at most ${MAX_REGEX_LENGTH} characters, without backreferences or nested repeats like (a+)+)`
+      : `Invalid term: ${term} (use at most ${MAX_INNER_WILDCARDS} * before letters, like d*rn*)`));
+};
+
+// Find the first default or channel term the text matches, or null
+const findBlockedTerm = (text, terms = []) => {
+  if (!text) return null;
+  const normalized = normalizeForModeration(text);
+  return [...DEFAULT_BLOCKED_TERMS, ...terms].find(term => {
+    const pattern = compileTerm(term);
+    return pattern !== null && pattern.test(normalized);
+  }) || null;
+};
+
+// Hide a term when showing it in chat, so listing the filter doesn't post it (d***)
+const maskTerm = (term) => {
+  const regex = term.match(/^\/(.+)\/$/s);
+  const text = regex ? regex[1] : term;
+  const masked = Array.from(text).map((char, i) => (i === 0 || char === ' ' ? char : '*')).join('');
+  return regex ? `/${masked}/` : masked;
+};
+
+module.exports = {
+  DEFAULT_BLOCKED_TERMS,
+  normalizeForModeration,
+  compileTerm,
+  validateBlockedTerms,
+  findBlockedTerm,
+  maskTerm
+};
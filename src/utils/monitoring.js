@@ -1,7 +1,28 @@
 const { debug } = require('./index');
 
+// Latency histogram bucket upper bounds in milliseconds
+const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// Create an empty latency histogram
+const createHistogram = () => ({
+  buckets: LATENCY_BUCKETS.map(() => 0),
+  sum: 0,
+  count: 0
+});
+
+// Record a duration in a histogram (bucket counts are non-cumulative)
+const observe = (histogram, duration) => {
+  const index = LATENCY_BUCKETS.findIndex(bound => duration <= bound);
+  if (index !== -1) {
+    histogram.buckets[index]++;
+  }
+  histogram.sum += duration;
+  histogram.count++;
+};
+
 class Monitoring {
   constructor() {
+    this.latencyBuckets = LATENCY_BUCKETS;
     this.metrics = {
       translations: {
         total: 0,
@@ -21,6 +42,15 @@ class Monitoring {
         total: 0,
         byType: {}
       },
+      providers: {},
+      digest: {
+        dropped: 0,
+        droppedByChannel: {}
+      },
+      latency: {
+        byChannel: {},
+        byLanguage: {}
+      },
       performance: {
         memoryUsage: [],
         cpuUsage: [],
@@ -69,6 +99,27 @@ class Monitoring {
     this.metrics.errors.byType[errorType] = (this.metrics.errors.byType[errorType] || 0) + 1;
   }
 
+  // Track translations left out of a digest because the global rate limit was reached
+  trackDigestDrop(channel, count = 1) {
+    const { digest } = this.metrics;
+    digest.dropped += count;
+    digest.droppedByChannel[channel] = (digest.droppedByChannel[channel] || 0) + count;
+  }
+
+  // Track end-to-end translation latency per channel and source language
+  trackLatency(channel, sourceLang, duration) {
+    const { byChannel, byLanguage } = this.metrics.latency;
+    byChannel[channel] = byChannel[channel] || createHistogram();
+    byLanguage[sourceLang] = byLanguage[sourceLang] || createHistogram();
+    observe(byChannel[channel], duration);
+    observe(byLanguage[sourceLang], duration);
+  }
+
+  // Track translation provider circuit breaker state
+  trackProvider(name, state) {
+    this.metrics.providers[name] = state;
+  }
+
   // Update performance metrics
   updatePerformance() {
     const now = Date.now();
@@ -130,6 +181,11 @@ class Monitoring {
     for (const [type, count] of Object.entries(metrics.errors.byType)) {
       debug(`  ${type}: ${count}`);
     }
+    for (const [name, provider] of Object.entries(metrics.providers)) {
+      debug(`Provider ${name}: ${provider.state}, ` +
+            `${provider.successes}/${provider.requests} successful, ` +
+            `${provider.rejected} skipped while open`);
+    }
   }
 }
 
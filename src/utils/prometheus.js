@@ -0,0 +1,130 @@
+const monitoring = require('./monitoring');
+const translationCache = require('../managers/translationCache');
+const rateLimiter = require('../managers/rateLimiter');
+
+const PREFIX = 'twitch_translator';
+
+// Numeric values for circuit breaker states
+const CIRCUIT_STATES = {
+  closed: 0,
+  half_open: 1,
+  open: 2
+};
+
+// Escape a label value per the Prometheus text format
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels = {}) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Builds a Prometheus text exposition (format version 0.0.4)
+class MetricsWriter {
+  constructor() {
+    this.lines = [];
+  }
+
+  // Write HELP/TYPE headers and one sample per entry of [labels, value]
+  metric(name, type, help, samples) {
+    const fullName = `${PREFIX}_${name}`;
+    this.lines.push(`# HELP ${fullName} ${help}`);
+    this.lines.push(`# TYPE ${fullName} ${type}`);
+    for (const [labels, value] of samples) {
+      this.lines.push(`${fullName}${formatLabels(labels)} ${Number(value) || 0}`);
+    }
+  }
+
+  // Write a histogram from non-cumulative millisecond buckets, exported in seconds
+  histogram(name, help, labelName, histograms, bounds) {
+    const fullName = `${PREFIX}_${name}`;
+    this.lines.push(`# HELP ${fullName} ${help}`);
+    this.lines.push(`# TYPE ${fullName} histogram`);
+
+    for (const [labelValue, histogram] of Object.entries(histograms)) {
+      let cumulative = 0;
+      bounds.forEach((bound, i) => {
+        cumulative += histogram.buckets[i];
+        const labels = formatLabels({ [labelName]: labelValue, le: bound / 1000 });
+        this.lines.push(`${fullName}_bucket${labels} ${cumulative}`);
+      });
+      const base = { [labelName]: labelValue };
+      this.lines.push(`${fullName}_bucket${formatLabels({ ...base, le: '+Inf' })} ${histogram.count}`);
+      this.lines.push(`${fullName}_sum${formatLabels(base)} ${histogram.sum / 1000}`);
+      this.lines.push(`${fullName}_count${formatLabels(base)} ${histogram.count}`);
+    }
+  }
+
+  toString() {
+    return `${this.lines.join('\n')}\n`;
+  }
+}
+
+// Render all bot metrics in Prometheus text format
+const renderMetrics = () => {
+  const metrics = monitoring.getMetrics();
+  const cacheStats = translationCache.getStats();
+  const rateStats = rateLimiter.getStats();
+  const writer = new MetricsWriter();
+
+  writer.metric('uptime_seconds', 'gauge', 'Seconds since the bot started',
+    [[{}, (Date.now() - metrics.translations.startTime) / 1000]]);
+
+  writer.metric('messages_total', 'counter', 'Chat messages seen, by outcome', [
+    [{ status: 'processed' }, metrics.messages.processed],
+    [{ status: 'skipped' }, metrics.messages.skipped]
+  ]);
+  writer.metric('commands_total', 'counter', 'Chat commands handled',
+    [[{}, metrics.messages.commands]]);
+
+  writer.metric('translations_total', 'counter', 'Translations attempted, by result', [
+    [{ result: 'successful' }, metrics.translations.successful],
+    [{ result: 'failed' }, metrics.translations.failed]
+  ]);
+  writer.metric('translations_cached_total', 'counter', 'Translations served from cache',
+    [[{}, metrics.translations.cached]]);
+
+  writer.metric('cache_hits_total', 'counter', 'Translation cache hits', [[{}, cacheStats.hits]]);
+  writer.metric('cache_misses_total', 'counter', 'Translation cache misses', [[{}, cacheStats.misses]]);
+  writer.metric('cache_evictions_total', 'counter', 'Translation cache evictions', [[{}, cacheStats.evictions]]);
+  writer.metric('cache_entries', 'gauge', 'Entries currently in the translation cache', [[{}, cacheStats.currentSize]]);
+
+  writer.metric('rate_limit_requests_total', 'counter', 'Translation requests checked by the rate limiter', [
+    [{ scope: 'global' }, rateStats.global.totalRequests],
+    ...Object.entries(rateStats.channels).map(([channel, stats]) => [{ scope: 'channel', channel }, stats.totalRequests])
+  ]);
+  writer.metric('rate_limited_total', 'counter', 'Translation requests rejected by the rate limiter', [
+    [{ scope: 'global' }, rateStats.global.limitedRequests],
+    ...Object.entries(rateStats.channels).map(([channel, stats]) => [{ scope: 'channel', channel }, stats.limitedRequests])
+  ]);
+
+  writer.metric('digest_dropped_total', 'counter', 'Translations left out of digests by the global rate limit',
+    Object.entries(metrics.digest.droppedByChannel).map(([channel, count]) => [{ channel }, count]));
+
+  writer.metric('errors_total', 'counter', 'Errors by type',
+    Object.entries(metrics.errors.byType).map(([type, count]) => [{ type }, count]));
+
+  writer.metric('provider_circuit_state', 'gauge', 'Provider circuit breaker state (0 = closed, 1 = half-open, 2 = open)',
+    Object.entries(metrics.providers).map(([provider, state]) => [{ provider }, CIRCUIT_STATES[state.state]]));
+  writer.metric('provider_requests_total', 'counter', 'Requests sent to each translation provider, by result',
+    Object.entries(metrics.providers).flatMap(([provider, state]) => [
+      [{ provider, result: 'success' }, state.successes],
+      [{ provider, result: 'failure' }, state.failures]
+    ]));
+
+  writer.histogram('translation_duration_by_channel_seconds', 'Translation latency per channel',
+    'channel', metrics.latency.byChannel, monitoring.latencyBuckets);
+  writer.histogram('translation_duration_by_language_seconds', 'Translation latency per source language',
+    'language', metrics.latency.byLanguage, monitoring.latencyBuckets);
+
+  const memory = process.memoryUsage();
+  writer.metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes', [[{}, memory.rss]]);
+  writer.metric('process_heap_used_bytes', 'gauge', 'V8 heap used in bytes', [[{}, memory.heapUsed]]);
+
+  return writer.toString();
+};
+
+module.exports = { renderMetrics };
@@ -0,0 +1,82 @@
+require('./setup');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const channelConfigs = require('../src/managers/channelConfigs');
+const permissions = require('../src/managers/permissions');
+
+test('unknown roles never pass a role check', () => {
+  assert.strictEqual(permissions.hasRole('moderator', 'mod'), false);
+  assert.strictEqual(permissions.hasRole('mod', 'everyone'), false);
+  assert.strictEqual(permissions.hasRole('owner', undefined), false);
+  assert.strictEqual(permissions.hasRole('moderator', 'moderator'), true);
+  assert.strictEqual(permissions.hasRole('broadcaster', 'vip'), true);
+});
+
+test('invalid settings in a config file are dropped on load', () => {
+  fs.mkdirSync(config.CHANNEL_CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(channelConfigs.getConfigPath('handedited'), JSON.stringify({
+    autoTranslate: false,
+    commandRoles: { config: 'mod' },
+    digestInterval: 1,
+    madeUpSetting: true
+  }));
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+
+  try {
+    channelConfigs.loadConfigByName('handedited');
+  } finally {
+    console.warn = warn;
+  }
+
+  const loaded = channelConfigs.getConfig('handedited');
+  assert.strictEqual(loaded.autoTranslate, false);
+  assert.deepStrictEqual(loaded.commandRoles, {});
+  assert.strictEqual(loaded.digestInterval, 15);
+  assert.ok(!('madeUpSetting' in loaded));
+  assert.strictEqual(warnings.length, 3);
+
+  // A viewer can't use !config through the bad override
+  const viewer = { userInfo: {} };
+  assert.strictEqual(permissions.canUse('config', 'viewer', '#handedited', viewer, loaded), false);
+});
+
+test('channel configs never overwrite the bot\'s own files', () => {
+  const channelList = JSON.stringify(['testchannel']);
+  fs.writeFileSync(config.CHANNEL_LIST_FILE, channelList);
+
+  channelConfigs.updateConfig('channels', { autoTranslate: false });
+
+  assert.strictEqual(fs.readFileSync(config.CHANNEL_LIST_FILE, 'utf8'), channelList);
+  const saved = JSON.parse(fs.readFileSync(channelConfigs.getConfigPath('channels'), 'utf8'));
+  assert.strictEqual(saved.autoTranslate, false);
+});
+
+test('configs saved directly in CONFIG_DIR by older versions are moved', () => {
+  const legacyPath = path.join(config.CONFIG_DIR, 'oldchannel.json');
+  fs.writeFileSync(legacyPath, JSON.stringify({ prefix: '?' }));
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    channelConfigs.loadConfigByName('oldchannel');
+  } finally {
+    console.log = log;
+  }
+
+  assert.strictEqual(channelConfigs.getConfig('oldchannel').prefix, '?');
+  assert.ok(!fs.existsSync(legacyPath));
+  assert.ok(fs.existsSync(channelConfigs.getConfigPath('oldchannel')));
+});
+
+test('prefixes must be short and not empty', () => {
+  for (const prefix of ['', ' ', '! ', '!!!!!!']) {
+    assert.strictEqual(channelConfigs.validateSettings({ prefix }).length, 1, JSON.stringify(prefix));
+  }
+  assert.deepStrictEqual(channelConfigs.validateSettings({ prefix: '?' }), []);
+  assert.deepStrictEqual(channelConfigs.validateSettings({ prefix: '!!' }), []);
+});
@@ -0,0 +1,35 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const languageDetector = require('../src/detectors');
+const TrigramDetector = require('../src/detectors/trigramDetector');
+
+// Latin-script languages the trigram detector has no profile for
+const UNPROFILED = {
+  fi: 'Minä en tiedä mitä tapahtuu tänään illalla',
+  cs: 'Dnes večer nevím co se stane s námi'
+};
+
+test('languages without a trigram profile still clear MIN_CONFIDENCE', () => {
+  for (const [lang, text] of Object.entries(UNPROFILED)) {
+    const [top] = languageDetector.detect(text);
+    assert.strictEqual(top.lang, lang);
+    assert.ok(top.prob >= config.MIN_CONFIDENCE, `${lang} detected at ${top.prob}`);
+  }
+});
+
+test('trigram detector is unsure about languages it has no profile for', () => {
+  const trigram = new TrigramDetector();
+  for (const text of Object.values(UNPROFILED)) {
+    const mass = trigram.detect(text).reduce((sum, { prob }) => sum + prob, 0);
+    assert.ok(mass < 0.5, `trigram vote ${mass} for "${text}"`);
+  }
+  assert.deepStrictEqual(trigram.detect('Tôi không biết chuyện gì sẽ xảy ra tối nay'), []);
+});
+
+test('trigram detector keeps a full vote for languages it knows', () => {
+  const [top] = new TrigramDetector().detect('hola amigo que tal');
+  assert.strictEqual(top.lang, 'es');
+  assert.ok(top.prob > 0.8);
+});
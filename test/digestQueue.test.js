@@ -0,0 +1,56 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const DigestQueue = require('../src/handlers/digestQueue');
+const MessageHandler = require('../src/handlers/messageHandler');
+const channelConfigs = require('../src/managers/channelConfigs');
+const rateLimiter = require('../src/managers/rateLimiter');
+const monitoring = require('../src/utils/monitoring');
+
+test('a failed send on a full queue is logged instead of rejecting unhandled', async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  const logError = console.error;
+  console.error = () => {};
+
+  try {
+    const queue = new DigestQueue(async () => {
+      throw new Error('send failed');
+    });
+    const channelConfig = { digestInterval: 15 };
+    for (let i = 0; i < config.DIGEST_MAX_QUEUE; i++) {
+      assert.strictEqual(queue.enqueue('#testchannel', `line ${i}`, channelConfig), undefined);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(unhandled, []);
+    assert.deepStrictEqual(queue.getPending(), { testchannel: 0 });
+  } finally {
+    console.error = logError;
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
+
+test('translations over the global limit in digest mode are logged and counted', async () => {
+  const handler = new MessageHandler({ say: async () => {} });
+  const reserve = rateLimiter.reserve;
+  rateLimiter.reserve = () => 0;
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (message) => warnings.push(message);
+
+  try {
+    await handler.handleAutoTranslation('#testchannel', 'viewer', 'hola amigos, ¿cómo están todos hoy?', { userInfo: {} }, {
+      ...channelConfigs.getDefaultConfig(),
+      digestMode: true,
+      minConfidence: 0
+    });
+  } finally {
+    rateLimiter.reserve = reserve;
+    console.warn = warn;
+  }
+
+  assert.strictEqual(monitoring.metrics.digest.droppedByChannel.testchannel, 1);
+  assert.strictEqual(warnings.length, 1);
+});
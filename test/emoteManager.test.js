@@ -0,0 +1,59 @@
+require('./setup');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const httpRequest = require('../src/providers/httpRequest');
+
+// Answer provider requests from a stub instead of the network
+let respond = async () => {
+  throw new Error('connect ECONNREFUSED');
+};
+httpRequest.requestJson = (url) => respond(url);
+const emoteManager = require('../src/managers/emoteManager');
+
+const cached = JSON.stringify({
+  global: ['KEKW'],
+  channels: { testchannel: ['myEmote'] },
+  updatedAt: { global: 1000, channels: { testchannel: 1000 } }
+}, null, 2);
+
+const quietly = async (fn) => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('a provider outage keeps the cached emotes', async () => {
+  fs.writeFileSync(config.EMOTE_FILE, cached);
+  emoteManager.load();
+
+  await quietly(async () => {
+    await emoteManager.refreshGlobal();
+    await emoteManager.refreshChannel('testchannel', '12345');
+  });
+
+  assert.ok(emoteManager.isEmote('testchannel', 'KEKW'));
+  assert.ok(emoteManager.isEmote('testchannel', 'myEmote'));
+  assert.deepStrictEqual(emoteManager.updatedAt, { global: 1000, channels: { testchannel: 1000 } });
+  assert.strictEqual(fs.readFileSync(config.EMOTE_FILE, 'utf8'), cached);
+});
+
+test('a channel no provider knows is saved as having no emotes', async () => {
+  fs.writeFileSync(config.EMOTE_FILE, cached);
+  emoteManager.load();
+  respond = async () => {
+    const error = new Error('HTTP Error 404: Not Found');
+    error.status = 404;
+    throw error;
+  };
+
+  await emoteManager.refreshChannel('testchannel', '12345');
+
+  assert.ok(!emoteManager.isEmote('testchannel', 'myEmote'));
+  assert.ok(emoteManager.updatedAt.channels.testchannel > 1000);
+});
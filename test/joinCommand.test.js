@@ -0,0 +1,47 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const channelList = require('../src/managers/channelList');
+const CommandHandler = require('../src/handlers/commands');
+
+test('without BOT_OWNER_ID, broadcasters can\'t join or part other channels', async () => {
+  const ownerId = config.BOT_OWNER_ID;
+  config.BOT_OWNER_ID = undefined;
+  channelList.channels = ['testchannel', 'otherchannel'];
+  const said = [];
+  const handler = new CommandHandler({ say: async (channel, message) => said.push(message) });
+
+  try {
+    await handler.handleJoin('#testchannel', 'testchannel', ['somechannel'], '!');
+    await handler.handlePart('#testchannel', 'testchannel', ['otherchannel'], '!');
+  } finally {
+    config.BOT_OWNER_ID = ownerId;
+  }
+
+  assert.deepStrictEqual(channelList.channels, ['testchannel', 'otherchannel']);
+  assert.deepStrictEqual(said, [
+    '@testchannel Without BOT_OWNER_ID set, you can only add the bot to your own channel.',
+    '@testchannel Without BOT_OWNER_ID set, you can only remove the bot from your own channel.'
+  ]);
+});
+
+test('a failed join replies without the internal error', async () => {
+  const ownerId = config.BOT_OWNER_ID;
+  config.BOT_OWNER_ID = 'owner';
+  channelList.channels = ['testchannel'];
+  const said = [];
+  const handler = new CommandHandler({ say: async (channel, message) => said.push(message) });
+  const logError = console.error;
+  console.error = () => {};
+
+  try {
+    await handler.handleJoin('#testchannel', 'owner', ['bad$name'], '!');
+  } finally {
+    config.BOT_OWNER_ID = ownerId;
+    console.error = logError;
+  }
+
+  assert.deepStrictEqual(channelList.channels, ['testchannel']);
+  assert.deepStrictEqual(said, ['@owner Couldn\'t join bad$name. Check the channel name and try again later.']);
+});
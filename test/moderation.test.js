@@ -0,0 +1,53 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateBlockedTerms, findBlockedTerm, compileTerm } = require('../src/utils/moderation');
+
+test('regex terms that backtrack catastrophically are rejected', () => {
+  for (const term of ['/(a+)+$/', '/(a|aa)*$/', '/(?:x*y?)+z/', '/((ab)+c)*/', '/(a)\\1/']) {
+    assert.strictEqual(validateBlockedTerms([term]).length, 1, term);
+    assert.strictEqual(compileTerm(term), null, term);
+  }
+});
+
+test('a rejected term from a config file cannot stall matching', () => {
+  const start = Date.now();
+  assert.strictEqual(findBlockedTerm(`${'a'.repeat(28)}!`, ['/(a+)+$/']), null);
+  assert.ok(Date.now() - start < 100);
+});
+
+test('plain and wildcard terms cannot stall matching on long words', () => {
+  const cases = [
+    ['reeeee', `re${'e'.repeat(78)}x`],
+    ['aaaaaaaaaa', `${'a'.repeat(40)}x`],
+    ['ilil', `${'l'.repeat(480)}x`],
+    ['a b', `${'@'.repeat(480)}x`],
+    ['a*a', `${'4a'.repeat(240)}x`],
+    ['*a*b*', `${'a'.repeat(480)}x`]
+  ];
+  for (const [term, text] of cases) {
+    const start = Date.now();
+    assert.strictEqual(findBlockedTerm(text, [term]), null, term);
+    assert.ok(Date.now() - start < 100, term);
+  }
+});
+
+test('terms with many wildcards before letters are rejected', () => {
+  assert.strictEqual(validateBlockedTerms(['*a*b*c']).length, 1);
+  assert.deepStrictEqual(validateBlockedTerms(['d*rn', '*d*rn*', 'heck**']), []);
+});
+
+test('ordinary regex terms are still accepted', () => {
+  assert.deepStrictEqual(validateBlockedTerms(['/fr[ae]ck/', '/(?:darn|heck)s?/', '/d(a|e)rn/', '/(ab)+c/']), []);
+  assert.strictEqual(findBlockedTerm('what the freck', ['/fr[ae]ck/']), '/fr[ae]ck/');
+});
+
+test('plain and wildcard terms see through obfuscation', () => {
+  const terms = ['darn', 'heck*'];
+  for (const text of ['d4rn it', 'd.a.r.n', 'dааrn', 'ｄａｒｎ', 'dárn', 'd​arn', 'daaaarn', 'heckin']) {
+    assert.ok(findBlockedTerm(text, terms), text);
+  }
+  for (const text of ['darned', 'checkin', 'hello there']) {
+    assert.strictEqual(findBlockedTerm(text, terms), null, text);
+  }
+});
@@ -0,0 +1,26 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert');
+const channelConfigs = require('../src/managers/channelConfigs');
+const MessageHandler = require('../src/handlers/messageHandler');
+const { renderMetrics } = require('../src/utils/prometheus');
+
+// Read one sample from the Prometheus output
+const sample = (name) => {
+  const line = renderMetrics().split('\n').find(entry => entry.startsWith(`twitch_translator_${name} `));
+  return Number(line.split(' ').pop());
+};
+
+test('skipped messages do not count as translations', async () => {
+  let onMessage = null;
+  const chatClient = { onMessage: (handler) => { onMessage = handler; }, say: async () => {} };
+  new MessageHandler(chatClient).setup();
+  channelConfigs.updateConfig('testchannel', { autoTranslate: true });
+
+  const before = sample('translations_total{result="successful"}');
+  await onMessage('#testchannel', 'viewer', 'hi', { userInfo: {} });
+  channelConfigs.updateConfig('testchannel', { autoTranslate: false });
+  await onMessage('#testchannel', 'viewer', 'hola amigos, ¿cómo están todos hoy?', { userInfo: {} });
+
+  assert.strictEqual(sample('translations_total{result="successful"}'), before);
+});
@@ -0,0 +1,24 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert');
+const apiServer = require('../src/server');
+
+// Run a request through the server's handler without opening a port
+const request = (method, url) => new Promise((resolve) => {
+  const res = {
+    writeHead(status) { this.status = status; },
+    end(body) { resolve({ status: this.status, body: JSON.parse(body) }); }
+  };
+  apiServer.handleRequest({ method, url, headers: {} }, res);
+});
+
+test('a malformed escape in the path is a bad request', async () => {
+  const { status, body } = await request('GET', '/api/channels/%E0');
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /Malformed/);
+});
+
+test('unknown channels are still not found', async () => {
+  const { status } = await request('GET', '/api/channels/nosuchchannel');
+  assert.strictEqual(status, 404);
+});
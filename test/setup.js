@@ -0,0 +1,23 @@
+// Shared setup for the test suite: the config module requires Twitch
+// credentials, and managers write to CONFIG_DIR, so point it at a fresh
+// temporary directory. Require this before anything from src/.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const defaults = {
+  TWITCH_CLIENT_ID: 'test',
+  TWITCH_CLIENT_SECRET: 'test',
+  TWITCH_ACCESS_TOKEN: 'test',
+  TWITCH_REFRESH_TOKEN: 'test',
+  TWITCH_CHANNELS: 'testchannel',
+  CONFIG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'translator-bot-test-'))
+};
+
+for (const [key, value] of Object.entries(defaults)) {
+  if (!process.env[key]) process.env[key] = value;
+}
+
+process.on('exit', () => {
+  fs.rmSync(defaults.CONFIG_DIR, { recursive: true, force: true });
+});
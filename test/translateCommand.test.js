@@ -0,0 +1,42 @@
+require('./setup');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Translate offline from a small dictionary
+const dictionaryFile = path.join(process.env.CONFIG_DIR, 'dictionary.json');
+fs.writeFileSync(dictionaryFile, JSON.stringify({
+  es: { en: { hola: 'hello', amigos: 'friends' } },
+  en: { en: { hello: 'hello', there: 'there' } }
+}));
+process.env.TRANSLATION_PROVIDERS = 'dictionary';
+process.env.DICTIONARY_FILE = dictionaryFile;
+
+const CommandHandler = require('../src/handlers/commands');
+
+const createHandler = () => {
+  const said = [];
+  const handler = new CommandHandler({ say: async (channel, message) => said.push(message) });
+  return { handler, said };
+};
+
+test('auto-detected !translate shows the detected language on a cache hit', async () => {
+  const { handler, said } = createHandler();
+  await handler.handleTranslate('#testchannel', 'viewer', ['hola', 'amigos'], null, '!');
+  await handler.handleTranslate('#testchannel', 'viewer', ['hola', 'amigos'], null, '!');
+  assert.deepStrictEqual(said, [
+    '@viewer [es→en]: hello friends',
+    '@viewer [es→en]: hello friends'
+  ]);
+});
+
+test('cached !translate still notices text already in the target language', async () => {
+  const { handler, said } = createHandler();
+  await handler.handleTranslate('#testchannel', 'viewer', ['hello', 'there'], null, '!');
+  await handler.handleTranslate('#testchannel', 'viewer', ['hello', 'there'], null, '!');
+  assert.deepStrictEqual(said, [
+    '@viewer That\'s already in English.',
+    '@viewer That\'s already in English.'
+  ]);
+});
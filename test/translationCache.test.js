@@ -0,0 +1,93 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const TranslationCache = require('../src/managers/translationCache').constructor;
+
+// Run a test with some config values changed, restoring them afterwards
+const withConfig = (overrides, fn) => {
+  const saved = {};
+  for (const key of Object.keys(overrides)) saved[key] = config[key];
+  Object.assign(config, overrides);
+  try {
+    return fn();
+  } finally {
+    Object.assign(config, saved);
+  }
+};
+
+// Make any walk over the cache's entries fail, so a test can check that an
+// operation only touches the entries it needs
+const forbidScans = (cache) => {
+  for (const method of [Symbol.iterator, 'forEach', 'keys', 'values', 'entries']) {
+    cache.entries[method] = () => {
+      throw new Error(`scanned the cache with ${String(method)}`);
+    };
+  }
+};
+
+test('get and add at capacity evict only the tail, without scanning', () => {
+  withConfig({ CACHE_SIZE: 1000, CACHE_MAX_BYTES: 0 }, () => {
+    const cache = new TranslationCache();
+    for (let i = 0; i < 1000; i++) cache.add(`mensaje número ${i}`, 'es', 'en', `message number ${i}`);
+    forbidScans(cache);
+
+    const evicted = [];
+    const deleteEntry = cache._delete.bind(cache);
+    cache._delete = (entry) => {
+      evicted.push(entry.key);
+      deleteEntry(entry);
+    };
+
+    // Reading the oldest entry makes it the most recently used
+    assert.strictEqual(cache.get('mensaje número 0', 'es', 'en'), 'message number 0');
+    assert.strictEqual(cache.head.key, cache._buildKey('mensaje número 0', 'es', 'en'));
+
+    for (let i = 0; i < 3; i++) {
+      const tail = cache.tail.key;
+      cache.add(`mensaje nuevo ${i}`, 'es', 'en', `new message ${i}`);
+      assert.deepStrictEqual(evicted.splice(0), [tail]);
+      assert.strictEqual(cache.entries.size, 1000);
+    }
+    assert.strictEqual(cache.get('mensaje número 1', 'es', 'en'), null);
+    assert.strictEqual(cache.get('mensaje número 0', 'es', 'en'), 'message number 0');
+  });
+});
+
+test('evicts least recently used entries to stay within the byte budget', () => {
+  withConfig({ CACHE_SIZE: 1000, CACHE_MAX_BYTES: 1000 }, () => {
+    const cache = new TranslationCache();
+    const text = 'x'.repeat(100);
+    cache.add('first', 'es', 'en', text);
+    cache.add('second', 'es', 'en', text);
+    cache.add('third', 'es', 'en', text);
+    cache.get('first', 'es', 'en'); // now most recently used
+
+    cache.add('fourth', 'es', 'en', text);
+    assert.ok(cache.bytes <= config.CACHE_MAX_BYTES, `${cache.bytes} bytes`);
+    assert.strictEqual(cache.get('second', 'es', 'en'), null);
+    assert.strictEqual(cache.get('first', 'es', 'en'), text);
+    assert.strictEqual(cache.get('fourth', 'es', 'en'), text);
+  });
+});
+
+test('never caches an entry larger than the whole byte budget', () => {
+  withConfig({ CACHE_SIZE: 1000, CACHE_MAX_BYTES: 1000 }, () => {
+    const cache = new TranslationCache();
+    cache.add('small', 'es', 'en', 'ok');
+    cache.add('huge', 'es', 'en', 'x'.repeat(1000));
+    assert.strictEqual(cache.get('huge', 'es', 'en'), null);
+    assert.strictEqual(cache.get('small', 'es', 'en'), 'ok');
+  });
+});
+
+test('replacing an entry updates the byte count', () => {
+  withConfig({ CACHE_SIZE: 1000, CACHE_MAX_BYTES: 0 }, () => {
+    const cache = new TranslationCache();
+    cache.add('hola', 'es', 'en', 'hi');
+    const before = cache.bytes;
+    cache.add('hola', 'es', 'en', 'hello');
+    assert.strictEqual(cache.bytes, before + 6);
+    assert.strictEqual(cache.entries.size, 1);
+  });
+});
@@ -0,0 +1,26 @@
+require('./setup');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const userLanguages = require('../src/managers/userLanguages');
+
+test('saving forgets the users seen least recently past the limit', () => {
+  const limit = config.USER_LANGUAGE_LIMIT;
+  config.USER_LANGUAGE_LIMIT = 2;
+
+  try {
+    userLanguages.users = {
+      old: { declared: 'es', weights: {}, lastLang: null, updatedAt: 1000 },
+      recent: { declared: null, weights: { fr: 1 }, lastLang: 'fr', updatedAt: 3000 }
+    };
+    userLanguages.observe('newcomer', 'de');
+    userLanguages.save();
+  } finally {
+    config.USER_LANGUAGE_LIMIT = limit;
+  }
+
+  assert.deepStrictEqual(Object.keys(userLanguages.users).sort(), ['newcomer', 'recent']);
+  const saved = JSON.parse(fs.readFileSync(config.USER_LANGUAGE_FILE, 'utf8'));
+  assert.deepStrictEqual(Object.keys(saved).sort(), ['newcomer', 'recent']);
+});
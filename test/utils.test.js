@@ -0,0 +1,47 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeForCache, protectTokens, restoreTokens } = require('../src/utils');
+
+test('cache keys fold trivial variations together', () => {
+  assert.strictEqual(normalizeForCache('Holaaaa   amigos!!!'), normalizeForCache('hola amigos'));
+});
+
+test('cache keys keep emoji and other symbols', () => {
+  assert.notStrictEqual(
+    normalizeForCache('hola amigos me gusta 🍔 mucho hoy'),
+    normalizeForCache('hola amigos me gusta 🍕 mucho hoy')
+  );
+});
+
+test('cache keys keep repeated digits', () => {
+  assert.notStrictEqual(normalizeForCache('tengo 1000 puntos'), normalizeForCache('tengo 10 puntos'));
+});
+
+test('protected numbers share a key but keep their own value', () => {
+  const small = protectTokens('tengo 10 puntos');
+  const large = protectTokens('tengo 1000 puntos');
+  assert.strictEqual(normalizeForCache(small.processed), normalizeForCache(large.processed));
+  assert.deepStrictEqual([small.tokens, large.tokens], [['10'], ['1000']]);
+});
+
+test('protects links, mentions and numbers with indexed placeholders', () => {
+  const { processed, tokens } = protectTokens('mira https://example.com/clip @amigo 100 veces');
+  assert.strictEqual(processed, 'mira {T0} {T1} {T2} veces');
+  assert.deepStrictEqual(tokens, ['https://example.com/clip', '@amigo', '100']);
+});
+
+test('restores placeholders the translator reordered or lowercased', () => {
+  const tokens = ['@amigo', '100'];
+  assert.strictEqual(restoreTokens('{T1} times {t0}', tokens), '100 times @amigo');
+});
+
+test('restores placeholders the translator put spaces into', () => {
+  const tokens = ['@amigo', '100'];
+  assert.strictEqual(restoreTokens('look { T0 } {T 1} times', tokens), 'look @amigo 100 times');
+});
+
+test('appends tokens whose placeholder the translator dropped', () => {
+  const tokens = ['https://example.com/clip', '@amigo'];
+  assert.strictEqual(restoreTokens('look at {T1}', tokens), 'look at @amigo https://example.com/clip');
+});